@@ -1,8 +1,11 @@
 from .nodes.url_download import UrlDownload
 from .nodes.upload_anything import UploadAnything
 from .nodes.execution_time import ExecutionTime
-# NOTE: LogConsole SSE functionality is temporarily disabled
-# from .nodes.log_console import *
+# LogConsole needs aiohttp-sse, the other nodes still load without it
+try:
+    from .nodes.log_console import *
+except ImportError as e:
+    print(f'[TyDev-Utils] LogConsole is disabled, install the requirements to enable it: {e}')
 
 # A dictionary that contains all nodes you want to export with their names
 # NOTE: names should be globally unique
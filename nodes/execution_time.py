@@ -1,8 +1,17 @@
+import asyncio
+import json
+import os
+import re
 import time
+import threading
 
+import psutil
 import torch
 import inspect
+from aiohttp import web
+
 import execution
+import folder_paths
 import server
 
 
@@ -21,7 +30,16 @@ class ExecutionTime:
         return ()
 
 
-CURRENT_START_EXECUTION_DATA = None
+# Execution data of the running prompts, keyed by prompt id
+EXECUTION_DATA = {}
+
+
+def get_execution_data(prompt_id):
+    execution_data = EXECUTION_DATA.get(prompt_id)
+    # Old ComfyUI versions don't send the prompt id with every event
+    if execution_data is None and prompt_id is None and len(EXECUTION_DATA) == 1:
+        execution_data = next(iter(EXECUTION_DATA.values()))
+    return execution_data
 
 
 def get_peak_memory():
@@ -38,16 +56,187 @@ def reset_peak_memory_record():
     torch.cuda.reset_max_memory_allocated(device)
 
 
-def handle_execute(prompt_id, server, unique_id):
+class RamSampler:
+    """
+    Samples the RSS of the process in a background thread, so that short RAM peaks inside a node are not missed.
+    """
+
+    INTERVAL = 0.01
+
+    def __init__(self):
+        self.process = psutil.Process()
+        self.peak = 0
+        self.thread = None
+        self.stop_event = threading.Event()
+
+    def get_rss(self):
+        rss = self.process.memory_info().rss
+        self.peak = max(self.peak, rss)
+        return rss
+
+    def reset_peak(self):
+        self.peak = 0
+        return self.get_rss()
+
+    def start(self):
+        if self.thread is not None:
+            return
+        self.stop_event.clear()
+        self.thread = threading.Thread(target=self.run, name="TyDev-Utils RAM Sampler", daemon=True)
+        self.thread.start()
+
+    def stop(self):
+        if self.thread is None:
+            return
+        self.stop_event.set()
+        self.thread.join()
+        self.thread = None
+
+    def run(self):
+        while not self.stop_event.wait(self.INTERVAL):
+            try:
+                self.get_rss()
+            except psutil.Error:
+                pass
+
+
+RAM_SAMPLER = RamSampler()
+
+
+# region: Run Storage
+RUNS_MAX_COUNT = 200
+RUN_ID_PATTERN = re.compile(r'^[0-9A-Za-z_-]+$')
+
+
+def get_runs_directory():
+    # Old ComfyUI versions don't have a user directory
+    get_directory = getattr(folder_paths, 'get_user_directory', folder_paths.get_output_directory)
+    return os.path.join(get_directory(), 'ty-dev-utils', 'execution-time')
+
+
+def get_run_path(run_id):
+    if not RUN_ID_PATTERN.match(run_id):
+        return None
+    return os.path.join(get_runs_directory(), f'{run_id}.json')
+
+
+def get_run_id_time(run_id):
+    # Run ids start with their saving time in milliseconds
+    prefix = run_id.split('_', 1)[0]
+    return int(prefix) if prefix.isdigit() else 0
+
+
+def list_run_ids():
+    """
+    Ids of the saved runs, newest first. Only the file names are read.
+    """
+    directory = get_runs_directory()
+    if not os.path.isdir(directory):
+        return []
+    run_ids = [filename[:-len('.json')] for filename in os.listdir(directory) if filename.endswith('.json')]
+    run_ids.sort(key=get_run_id_time, reverse=True)
+    return run_ids
+
+
+def load_run(run_id):
+    path = get_run_path(run_id)
+    if path is None or not os.path.isfile(path):
+        return None
+    with open(path, 'r', encoding='utf-8') as f:
+        return json.load(f)
+
+
+def list_run_summaries():
+    summaries = []
+    for run_id in list_run_ids():
+        try:
+            run = load_run(run_id)
+        except (OSError, ValueError):
+            continue
+        if run is None:
+            continue
+        summary = {k: v for k, v in run.items() if k != 'nodes_execution_time'}
+        summary['node_count'] = len(run.get('nodes_execution_time', []))
+        summaries.append(summary)
+    return summaries
+
+
+def save_run(execution_data, status):
+    """
+    Writes a finished run to disk and removes the oldest runs, so that prompts without a client are profiled too.
+    """
+    run = dict(
+        id=f"{int(time.time() * 1000)}_{re.sub(r'[^0-9A-Za-z_-]', '_', str(execution_data['prompt_id']))}",
+        prompt_id=execution_data['prompt_id'],
+        client_id=execution_data['client_id'],
+        workflow_id=execution_data.get('workflow_id'),
+        timestamp=execution_data['timestamp'],
+        status=status,
+        total_execution_time=int((time.perf_counter() - execution_data['start_perf_time']) * 1000),
+        nodes_execution_time=execution_data['nodes']
+    )
+    path = get_run_path(run['id'])
+    if path is None:
+        return
+    try:
+        os.makedirs(get_runs_directory(), exist_ok=True)
+        with open(path, 'w', encoding='utf-8') as f:
+            json.dump(run, f)
+        for old_run_id in list_run_ids()[RUNS_MAX_COUNT:]:
+            old_path = get_run_path(old_run_id)
+            if old_path is not None and os.path.isfile(old_path):
+                os.remove(old_path)
+    except OSError as e:
+        print(f'[TyDev-Utils] Save execution time run fail: {e}')
+
+
+@server.PromptServer.instance.routes.get("/ty-dev-utils/execution-time/runs")  # noqa
+async def get_runs(request: web.Request) -> web.Response:
+    # Reading the run files would block the event loop
+    summaries = await asyncio.get_running_loop().run_in_executor(None, list_run_summaries)
+    return web.json_response(summaries)
+
+
+@server.PromptServer.instance.routes.get("/ty-dev-utils/execution-time/runs/{run_id}")  # noqa
+async def get_run(request: web.Request) -> web.Response:
+    run = await asyncio.get_running_loop().run_in_executor(None, load_run, request.match_info['run_id'])
+    if run is None:
+        return web.json_response({'error': 'Run not found'}, status=404)
+    return web.json_response(run)
+
+
+@server.PromptServer.instance.routes.delete("/ty-dev-utils/execution-time/runs/{run_id}")  # noqa
+async def delete_run(request: web.Request) -> web.Response:
+    path = get_run_path(request.match_info['run_id'])
+    if path is None or not os.path.isfile(path):
+        return web.json_response({'error': 'Run not found'}, status=404)
+    os.remove(path)
+    return web.json_response({'code': 0})
+# endregion
+
+
+def get_node_info(prompt, unique_id):
+    """
+    Class and title of a node of a prompt in API format.
+    """
+    node = prompt.get(unique_id) if prompt is not None else None
+    if not node:
+        return None, None
+    return node.get('class_type'), node.get('_meta', {}).get('title')
+
+
+def handle_execute(prompt_id, server, unique_id, node_info=(None, None), extra_data=None):
     """
     Called after each node execution completes.
-    Sends timing data to frontend for the completed node.
+    Records timing data of the completed node and sends it to the frontend.
     """
-    if not CURRENT_START_EXECUTION_DATA:
+    execution_data = get_execution_data(prompt_id)
+    if not execution_data:
         return
     
-    start_time = CURRENT_START_EXECUTION_DATA['nodes_start_perf_time'].get(unique_id)
-    start_vram = CURRENT_START_EXECUTION_DATA['nodes_start_vram'].get(unique_id, 0)
+    start_time = execution_data['nodes_start_perf_time'].get(unique_id)
+    start_vram = execution_data['nodes_start_vram'].get(unique_id, 0)
+    start_ram = execution_data['nodes_start_ram'].get(unique_id, 0)
     
     if start_time is None:
         return
@@ -57,23 +246,75 @@ def handle_execute(prompt_id, server, unique_id):
     
     end_vram = get_peak_memory()
     vram_used = max(0, end_vram - start_vram)
+
+    end_ram = RAM_SAMPLER.get_rss()
+    ram_used = max(0, end_ram - start_ram)
+    ram_peak = max(0, RAM_SAMPLER.peak - start_ram)
+
+    comfy_class, title = node_info
+    start_offset = int((start_time - execution_data['start_perf_time']) * 1000)
+    execution_data['nodes'].append(dict(
+        node=unique_id,
+        title=title,
+        comfyClass=comfy_class,
+        execution_time=int(execution_time * 1000),
+        vram_used=vram_used,
+        ram_used=ram_used,
+        ram_peak=ram_peak,
+        start_time=start_offset,
+        end_time=start_offset + int(execution_time * 1000)
+    ))
+    workflow_id = get_workflow_id(extra_data)
+    if workflow_id:
+        execution_data['workflow_id'] = workflow_id
     
     # Send execution completed event for this node
-    if server.client_id is not None:
+    client_id = execution_data['client_id']
+    if client_id is not None:
         server.send_sync(
             "TyDev-Utils.ExecutionTime.executed",
             {
                 "node": unique_id,
                 "prompt_id": prompt_id,
                 "execution_time": int(execution_time * 1000),
-                "vram_used": vram_used
+                "vram_used": vram_used,
+                "ram_used": ram_used,
+                "ram_peak": ram_peak
             },
-            server.client_id
+            client_id
         )
     
     # Clean up the start time entry
-    CURRENT_START_EXECUTION_DATA['nodes_start_perf_time'].pop(unique_id, None)
-    CURRENT_START_EXECUTION_DATA['nodes_start_vram'].pop(unique_id, None)
+    execution_data['nodes_start_perf_time'].pop(unique_id, None)
+    execution_data['nodes_start_vram'].pop(unique_id, None)
+    execution_data['nodes_start_ram'].pop(unique_id, None)
+
+
+def get_workflow_id(extra_data):
+    workflow = (extra_data or {}).get('extra_pnginfo', {}).get('workflow')
+    if isinstance(workflow, dict) and workflow.get('id'):
+        return workflow['id']
+    return None
+
+
+def get_prompt_workflow_id(prompt_server, prompt_id):
+    """
+    Id of the workflow a running prompt was queued from, None for prompts queued without a workflow.
+    """
+    running = getattr(getattr(prompt_server, 'prompt_queue', None), 'currently_running', None) or {}
+    # Items are (number, prompt_id, prompt, extra_data, outputs_to_execute, ...)
+    for item in list(running.values()):
+        if len(item) > 3 and item[1] == prompt_id:
+            return get_workflow_id(item[3])
+    return None
+
+
+def get_dynprompt_node_info(dynprompt, unique_id):
+    try:
+        node = dynprompt.get_node(unique_id)
+    except Exception:
+        return None, None
+    return get_node_info({unique_id: node}, unique_id)
 
 
 try:
@@ -85,7 +326,7 @@ try:
             unique_id = current_item
             result = await origin_execute(server, dynprompt, caches, current_item, extra_data, executed, prompt_id,
                                           execution_list, pending_subgraph_results, pending_async_nodes, *args, **kwargs)
-            handle_execute(prompt_id, server, unique_id)
+            handle_execute(prompt_id, server, unique_id, get_dynprompt_node_info(dynprompt, unique_id), extra_data)
             return result
     else:
         def dev_utils_execute(server, dynprompt, caches, current_item, extra_data, executed, prompt_id,
@@ -93,7 +334,7 @@ try:
             unique_id = current_item
             result = origin_execute(server, dynprompt, caches, current_item, extra_data, executed, prompt_id,
                                     execution_list, pending_subgraph_results, *args, **kwargs)
-            handle_execute(prompt_id, server, unique_id)
+            handle_execute(prompt_id, server, unique_id, get_dynprompt_node_info(dynprompt, unique_id), extra_data)
             return result
 
     execution.execute = dev_utils_execute
@@ -109,7 +350,7 @@ try:
         unique_id = current_item
         result = origin_recursive_execute(server, prompt, outputs, current_item, extra_data, executed, prompt_id,
                                           outputs_ui, object_storage)
-        handle_execute(prompt_id, server, unique_id)
+        handle_execute(prompt_id, server, unique_id, get_node_info(prompt, unique_id), extra_data)
         return result
 
     execution.recursive_execute = dev_utils_origin_recursive_execute
@@ -120,25 +361,29 @@ except Exception as e:
 origin_func = server.PromptServer.send_sync
 
 
-def send_execution_end_event(self, data, sid):
+def send_execution_end_event(self, data, sid, status):
     """
-    Sends the execution_end event and resets the execution state.
+    Saves the run, sends the execution_end event and resets the execution state of the prompt.
     This is called when execution completes (success, error, or normal completion).
     """
-    global CURRENT_START_EXECUTION_DATA
-    
-    if not CURRENT_START_EXECUTION_DATA:
+    prompt_id = data.get('prompt_id') if data else None
+    execution_data = get_execution_data(prompt_id)
+    if not execution_data:
         return
     
+    # Remove the state first to prevent duplicate events
+    EXECUTION_DATA.pop(execution_data['prompt_id'], None)
+    RAM_SAMPLER.stop()
+    save_run(execution_data, status)
+    
     # Determine the client ID to send to
-    target_sid = sid if sid is not None else getattr(self, 'client_id', None)
+    target_sid = sid if sid is not None else execution_data['client_id']
     if target_sid is None:
-        # Reset state even if we can't send the event
-        CURRENT_START_EXECUTION_DATA = None
         return
     
-    start_perf_time = CURRENT_START_EXECUTION_DATA.get('start_perf_time')
+    start_perf_time = execution_data.get('start_perf_time')
     new_data = data.copy() if data else {}
+    new_data.setdefault('prompt_id', execution_data['prompt_id'])
     
     if start_perf_time is not None:
         execution_time = time.perf_counter() - start_perf_time
@@ -150,43 +395,84 @@ def send_execution_end_event(self, data, sid):
         data=new_data,
         sid=target_sid
     )
-    
-    # Reset the execution state to prevent duplicate events
-    CURRENT_START_EXECUTION_DATA = None
 
 
 def dev_utils_send_sync(self, event, data, sid=None):
-    global CURRENT_START_EXECUTION_DATA
-    
+    prompt_id = data.get('prompt_id') if isinstance(data, dict) else None
+
     if event == "execution_start":
-        CURRENT_START_EXECUTION_DATA = dict(
+        # ComfyUI executes one prompt at a time, anything left belongs to prompts that never sent an end event
+        EXECUTION_DATA.clear()
+        EXECUTION_DATA[prompt_id] = dict(
+            prompt_id=prompt_id,
+            client_id=sid if sid is not None else getattr(self, 'client_id', None),
+            workflow_id=get_prompt_workflow_id(self, prompt_id),
+            timestamp=int(time.time() * 1000),
             start_perf_time=time.perf_counter(),
+            nodes=[],
             nodes_start_perf_time={},
-            nodes_start_vram={}
+            nodes_start_vram={},
+            nodes_start_ram={}
+        )
+        RAM_SAMPLER.start()
+        # Sent before "execution_start", so that the frontend files the run under the workflow it was queued from
+        origin_func(
+            self,
+            event="TyDev-Utils.ExecutionTime.execution_start",
+            data={'prompt_id': prompt_id, 'workflow_id': EXECUTION_DATA[prompt_id]['workflow_id']},
+            sid=sid
         )
 
     # Call the original function first
     origin_func(self, event=event, data=data, sid=sid)
 
+    execution_data = get_execution_data(prompt_id)
+    if not execution_data:
+        return
+
     # Handle execution completion via "executing" event with node=None
-    if event == "executing" and data and CURRENT_START_EXECUTION_DATA:
+    if event == "executing" and data:
         if data.get("node") is None:
             # Execution completed normally
-            send_execution_end_event(self, data, sid)
+            send_execution_end_event(self, data, sid, 'success')
         else:
             # Node execution started - record start time
             node_id = data.get("node")
-            CURRENT_START_EXECUTION_DATA['nodes_start_perf_time'][node_id] = time.perf_counter()
+            execution_data['nodes_start_perf_time'][node_id] = time.perf_counter()
             reset_peak_memory_record()
-            CURRENT_START_EXECUTION_DATA['nodes_start_vram'][node_id] = get_peak_memory()
+            execution_data['nodes_start_vram'][node_id] = get_peak_memory()
+            execution_data['nodes_start_ram'][node_id] = RAM_SAMPLER.reset_peak()
     
-    # Fallback: Handle execution_error event
-    elif event == "execution_error" and CURRENT_START_EXECUTION_DATA:
-        send_execution_end_event(self, data, sid)
+    # Handle execution_error and execution_interrupted, the node the run stopped at is recorded with the run
+    elif event in ("execution_error", "execution_interrupted"):
+        status = 'error' if event == "execution_error" else 'interrupted'
+        node_id = data.get('node_id') if data else None
+        for item in execution_data['nodes']:
+            if item['node'] == node_id:
+                item['status'] = status
+                if status == 'error':
+                    item['exception_type'] = data.get('exception_type')
+                    item['exception_message'] = data.get('exception_message')
+        send_execution_end_event(self, data, sid, status)
     
     # Fallback: Handle execution_success event (newer ComfyUI versions)
-    elif event == "execution_success" and CURRENT_START_EXECUTION_DATA:
-        send_execution_end_event(self, data, sid)
+    elif event == "execution_success":
+        send_execution_end_event(self, data, sid, 'success')
+
+    # Nodes served from the cache are recorded, so that the run lists every node of the prompt
+    elif event == "execution_cached" and data:
+        for node_id in data.get('nodes', []):
+            execution_data['nodes'].append(dict(
+                node=node_id,
+                execution_time=0,
+                vram_used=0,
+                ram_used=0,
+                ram_peak=0,
+                start_time=None,
+                end_time=None,
+                cached=True,
+                last_execution_time=None
+            ))
 
 
 server.PromptServer.send_sync = dev_utils_send_sync
@@ -1,202 +1,327 @@
-# NOTE: LogConsole SSE functionality is temporarily disabled.
-# This entire module will be removed in a future version.
-# Keeping the code commented out for reference.
-
-# from __future__ import annotations
-#
-# import asyncio
-# import io
-# import logging
-# import sys
-# from typing import Optional, List, Any
-#
-# from aiohttp import web
-# from aiohttp_sse import sse_response, EventSourceResponse
-#
-# from server import PromptServer
-#
-#
-# class SSEHandler:
-#
-#     def __init__(self, client_id: Optional[str], console_id: Optional[str], response: EventSourceResponse):
-#         self.client_id = client_id
-#         self.console_id = console_id
-#         self.response = response
-#
-#     @property
-#     def is_connected(self) -> bool:
-#         return self.response.is_connected()
-#
-#     async def send(self, record: str):
-#         await self.response.send(data=record)
-#
-#
-# log_queue = asyncio.Queue()
-#
-#
-# class LogCatcher:
-#     RED = "\x1b[31;20m"
-#     RESET = "\x1b[0m"
-#
-#     def __init__(self, obj: Any, attr_name: str, error: bool):
-#         self.obj = obj
-#         self.attr_name = attr_name
-#         self.error = error
-#         self.origin_value = None
-#
-#     def start(self):
-#         self.origin_value = getattr(self.obj, self.attr_name)
-#         setattr(self.obj, self.attr_name, self)
-#
-#     def stop(self):
-#         setattr(self.obj, self.attr_name, self.origin_value)
-#         self.origin_value = None
-#
-#     def write(self, value):
-#         if value:
-#             if self.error:
-#                 put_value = self.RED + value + self.RESET
-#             else:
-#                 put_value = value
-#             log_queue.put_nowait(put_value)
-#         if self.origin_value:
-#             self.origin_value.write(value)
-#
-#     def __getattr__(self, item):
-#         return getattr(self.origin_value, item)
-#
-#
-# LOG_CATCHERS: Optional[List[LogCatcher]] = None
-#
-#
-# class LogListener:
-#     _sentinel = None
-#
-#     def __init__(self, queue: asyncio.Queue):
-#         self.queue = queue
-#         self.handlers: List[SSEHandler] = []
-#         self._task: Optional[asyncio.Task] = None
-#
-#     @property
-#     def is_started(self) -> bool:
-#         return self._task is not None
-#
-#     def start_if_needed(self):
-#         if self.is_started:
-#             return
-#         try:
-#             loop = asyncio.get_event_loop()
-#         except:  # noqa
-#             loop = asyncio.new_event_loop()
-#
-#         self._task = loop.create_task(self._monitor())
-#
-#     def append_handler(self, handler: SSEHandler):
-#         if not handler.is_connected:
-#             return
-#         # print(f"[LogConsole] client [{handler.client_id}], console [{handler.console_id}], connected")
-#         self.handlers.append(handler)
-#
-#     def __remove_disconnected_handler(self, handler: SSEHandler):
-#         # print(f"[LogConsole] client [{handler.client_id}], console [{handler.console_id}], disconnected")
-#         self.handlers.remove(handler)
-#
-#     async def handle(self, record):
-#         for handler in self.handlers[:]:
-#             if not handler.is_connected:
-#                 self.__remove_disconnected_handler(handler)
-#                 continue
-#
-#             try:
-#                 await handler.send(record)
-#             except ConnectionResetError:
-#                 self.__remove_disconnected_handler(handler)
-#
-#     async def _monitor(self):
-#         q = self.queue
-#         while True:
-#             try:
-#                 record = await self.queue.get()
-#                 await self.handle(record)
-#                 q.task_done()
-#             except Exception as e:
-#                 pass
-#                 # print(f"QueueListener._monitor fail: {e}")
-#
-#     def stop(self):
-#         if not self._task:
-#             return
-#         self._task.cancel()
-#         self._task = None
-#
-#
-# log_listener = LogListener(queue=log_queue)
-#
-#
-# def start_log_catchers_if_needed():
-#     global LOG_CATCHERS
-#     if LOG_CATCHERS is not None:
-#         return
-#     # print("Start Log Catchers...")
-#     LOG_CATCHERS = []
-#     stdout_log_catcher = LogCatcher(sys, 'stdout', error=False)
-#     LOG_CATCHERS.append(stdout_log_catcher)
-#     stderr_log_catcher = LogCatcher(sys, 'stderr', error=True)
-#     LOG_CATCHERS.append(stderr_log_catcher)
-#
-#     for handler in logging.root.handlers:
-#         if not isinstance(handler, logging.StreamHandler) or not handler.stream:
-#             continue
-#
-#         if handler.stream.__class__.__name__ == 'ComfyUIManagerLogger':
-#             if getattr(handler.stream, 'is_stdout'):
-#                 error = False
-#             else:
-#                 error = True
-#             LOG_CATCHERS.append(LogCatcher(handler, 'stream', error=error))
-#             continue
-#
-#         if isinstance(handler.stream, io.TextIOWrapper):
-#             if handler.stream.name == '<stdout>':
-#                 LOG_CATCHERS.append(LogCatcher(handler, 'stream', error=False))
-#             elif handler.stream.name == '<stderr>':
-#                 LOG_CATCHERS.append(LogCatcher(handler, 'stream', error=True))
-#
-#     for catcher in LOG_CATCHERS:
-#         catcher.start()
-#
-#
-# def stop_log_catchers_if_needed():
-#     global LOG_CATCHERS
-#     if LOG_CATCHERS is None:
-#         return
-#     # print("Stop Log Catchers...")
-#     for catcher in LOG_CATCHERS:
-#         catcher.stop()
-#     LOG_CATCHERS = None
-#
-#
-# @PromptServer.instance.routes.get("/ty-dev-utils/log")  # noqa
-# async def log_stream(request: web.Request) -> web.StreamResponse:
-#     client_id = request.query.get('client_id')
-#     console_id = request.query.get('console_id')
-#     log_listener.start_if_needed()
-#     start_log_catchers_if_needed()
-#
-#     async with sse_response(request) as resp:
-#         log_listener.append_handler(SSEHandler(response=resp, client_id=client_id, console_id=console_id))
-#         while resp.is_connected():
-#             await asyncio.sleep(1)
-#
-#     return resp
-#
-#
-# @PromptServer.instance.routes.post("/ty-dev-utils/disable-log")  # noqa
-# async def disable_log_stream(request: web.Request) -> web.StreamResponse:
-#     client_id = request.query.get('client_id')
-#     console_id = request.query.get('console_id')
-#     # print(f"Disable Log Console. client id: {client_id}, console id: {console_id}")
-#     log_listener.stop()
-#     stop_log_catchers_if_needed()
-#
-#     return web.json_response({'code': 0})
+from __future__ import annotations
+
+import asyncio
+import collections
+import json
+import logging
+import os
+import sys
+import threading
+import time
+import uuid
+from typing import Optional, List, Any, Tuple
+
+from aiohttp import web
+from aiohttp_sse import sse_response, EventSourceResponse
+
+import folder_paths
+from server import PromptServer
+
+# Recent records are replayed to consoles that connect later, e.g. after a crash
+LOG_BACKLOG_MAX_RECORDS = 2000
+# Event ids restart with the process, the token tells the ids of the previous process apart
+BOOT_ID = uuid.uuid4().hex[:8]
+
+
+def format_event_id(event_id: int) -> str:
+    return f"{BOOT_ID}:{event_id}"
+
+
+class LogBacklog:
+    """
+    Bounded ring buffer of the recent records, each with an increasing event id.
+    Written from any thread, read from the event loop.
+    """
+
+    def __init__(self, max_records: int):
+        self.records: collections.deque[Tuple[int, str, Optional[str]]] = collections.deque(maxlen=max_records)
+        self.last_event_id = 0
+        self.lock = threading.Lock()
+
+    def append(self, record: str, progress_stream: Optional[str] = None) -> int:
+        """
+        :param progress_stream: Stream of a progress update, it replaces the previous update of the same stream
+        """
+        with self.lock:
+            self.last_event_id += 1
+            if progress_stream is not None and self.records and self.records[-1][2] == progress_stream:
+                self.records.pop()
+            self.records.append((self.last_event_id, record, progress_stream))
+            return self.last_event_id
+
+    def records_after(self, event_id: int) -> List[Tuple[int, str]]:
+        with self.lock:
+            return [(i, record) for i, record, _ in self.records if i > event_id]
+
+
+log_backlog = LogBacklog(LOG_BACKLOG_MAX_RECORDS)
+
+
+class SSEHandler:
+
+    def __init__(self, client_id: Optional[str], console_id: Optional[str], response: EventSourceResponse,
+                 last_event_id: int):
+        self.client_id = client_id
+        self.console_id = console_id
+        self.response = response
+        self.last_event_id = last_event_id
+        # Keeps the replay and the live records in order
+        self.lock = asyncio.Lock()
+
+    @property
+    def is_connected(self) -> bool:
+        return self.response.is_connected()
+
+    async def send(self, event_id: int, record: str):
+        async with self.lock:
+            # Records queued before the replay were sent by the replay already
+            if event_id <= self.last_event_id:
+                return
+            await self.response.send(data=record, id=format_event_id(event_id))
+            self.last_event_id = event_id
+
+
+log_queue = asyncio.Queue()
+
+
+def put_log_record(message: str, level: Optional[str], logger: Optional[str], stream: str,
+                   timestamp: Optional[float] = None, progress: bool = False):
+    """
+    Sends a structured record to the consoles.
+    :param message: The text, as written to the stream
+    :param level: Level name of `logging`, e.g. "INFO", None for `print` and other writes to stdout / stderr
+    :param logger: Name of the logger, None for writes to stdout / stderr
+    :param stream: "logging", "stdout" or "stderr"
+    :param timestamp: Seconds since the epoch, now by default
+    :param progress: Whether the record redraws the current line, e.g. a progress bar
+    """
+    record = json.dumps(dict(
+        level=level,
+        logger=logger,
+        timestamp=timestamp if timestamp is not None else time.time(),
+        stream=stream,
+        message=message,
+        progress=progress
+    ))
+    event_id = log_backlog.append(record, progress_stream=stream if progress else None)
+    # Without a listener, the records are only kept in the backlog
+    if not log_listener.is_started:
+        return
+    # Records are written by any thread, the queue belongs to the event loop
+    loop = PromptServer.instance.loop
+    if loop.is_closed():
+        return
+    loop.call_soon_threadsafe(log_queue.put_nowait, (event_id, record))
+
+
+class LogCatcher:
+    """
+    Catches the writes to stdout or stderr, e.g. `print` and progress bars.
+    They have no level, stderr is used by progress bars and warnings as much as by errors.
+    """
+
+    def __init__(self, obj: Any, attr_name: str):
+        self.obj = obj
+        self.attr_name = attr_name
+        self.origin_value = None
+
+    def start(self):
+        self.origin_value = getattr(self.obj, self.attr_name)
+        setattr(self.obj, self.attr_name, self)
+
+    def stop(self):
+        setattr(self.obj, self.attr_name, self.origin_value)
+        self.origin_value = None
+
+    def write(self, value):
+        if value:
+            # Progress bars redraw their line with "\r", only their latest state is kept
+            progress = '\r' in value and not value.endswith('\n')
+            put_log_record(value, None, None, self.attr_name, progress=progress)
+        if self.origin_value:
+            self.origin_value.write(value)
+
+    def __getattr__(self, item):
+        return getattr(self.origin_value, item)
+
+
+class LogRecordCatcher(logging.Handler):
+    """
+    Catches the records of `logging`, with their level and logger name.
+    """
+
+    def start(self):
+        logging.root.addHandler(self)
+
+    def stop(self):
+        logging.root.removeHandler(self)
+
+    def emit(self, record: logging.LogRecord):
+        try:
+            put_log_record(self.format(record) + '\n', record.levelname, record.name, 'logging', record.created)
+        except Exception:  # noqa
+            self.handleError(record)
+
+
+LOG_CATCHERS: Optional[List[Any]] = None
+
+
+class LogListener:
+    _sentinel = None
+
+    def __init__(self, queue: asyncio.Queue):
+        self.queue = queue
+        self.handlers: List[SSEHandler] = []
+        self._task: Optional[asyncio.Task] = None
+
+    @property
+    def is_started(self) -> bool:
+        return self._task is not None
+
+    def start_if_needed(self):
+        if self.is_started:
+            return
+        try:
+            loop = asyncio.get_event_loop()
+        except:  # noqa
+            loop = asyncio.new_event_loop()
+
+        self._task = loop.create_task(self._monitor())
+
+    async def append_handler(self, handler: SSEHandler):
+        if not handler.is_connected:
+            return
+        # print(f"[LogConsole] client [{handler.client_id}], console [{handler.console_id}], connected")
+        backlog = log_backlog.records_after(handler.last_event_id)
+        async with handler.lock:
+            self.handlers.append(handler)
+            try:
+                for event_id, record in backlog:
+                    await handler.response.send(data=record, id=format_event_id(event_id))
+                    handler.last_event_id = event_id
+            except ConnectionResetError:
+                self.__remove_disconnected_handler(handler)
+
+    def __remove_disconnected_handler(self, handler: SSEHandler):
+        # print(f"[LogConsole] client [{handler.client_id}], console [{handler.console_id}], disconnected")
+        if handler in self.handlers:
+            self.handlers.remove(handler)
+
+    async def handle(self, event_id: int, record: str):
+        for handler in self.handlers[:]:
+            if not handler.is_connected:
+                self.__remove_disconnected_handler(handler)
+                continue
+
+            try:
+                await handler.send(event_id, record)
+            except ConnectionResetError:
+                self.__remove_disconnected_handler(handler)
+
+    async def _monitor(self):
+        q = self.queue
+        while True:
+            try:
+                event_id, record = await self.queue.get()
+                await self.handle(event_id, record)
+                q.task_done()
+            except Exception as e:
+                pass
+                # print(f"QueueListener._monitor fail: {e}")
+
+    def stop(self):
+        if not self._task:
+            return
+        self._task.cancel()
+        self._task = None
+
+
+log_listener = LogListener(queue=log_queue)
+
+
+def start_log_catchers_if_needed():
+    global LOG_CATCHERS
+    if LOG_CATCHERS is not None:
+        return
+    # print("Start Log Catchers...")
+    LOG_CATCHERS = []
+    stdout_log_catcher = LogCatcher(sys, 'stdout')
+    LOG_CATCHERS.append(stdout_log_catcher)
+    stderr_log_catcher = LogCatcher(sys, 'stderr')
+    LOG_CATCHERS.append(stderr_log_catcher)
+    # The streams of the logging handlers are not caught, the records are caught with their level instead
+    LOG_CATCHERS.append(LogRecordCatcher())
+
+    for catcher in LOG_CATCHERS:
+        catcher.start()
+
+
+def stop_log_catchers_if_needed():
+    global LOG_CATCHERS
+    if LOG_CATCHERS is None:
+        return
+    # print("Stop Log Catchers...")
+    for catcher in LOG_CATCHERS:
+        catcher.stop()
+    LOG_CATCHERS = None
+
+
+def parse_last_event_id(request: web.Request) -> int:
+    # EventSource sends the header when it reconnects by itself, the console sends the query when it opens a new one
+    value = request.headers.get('Last-Event-ID') or request.query.get('last_event_id')
+    if not value:
+        return 0
+    boot_id, _, event_id = value.rpartition(':')
+    # An id of another process, e.g. before a restart, gets the full backlog
+    if boot_id != BOOT_ID:
+        return 0
+    try:
+        return int(event_id)
+    except ValueError:
+        return 0
+
+
+@PromptServer.instance.routes.get("/ty-dev-utils/log")  # noqa
+async def log_stream(request: web.Request) -> web.StreamResponse:
+    client_id = request.query.get('client_id')
+    console_id = request.query.get('console_id')
+    log_listener.start_if_needed()
+    start_log_catchers_if_needed()
+
+    async with sse_response(request) as resp:
+        await log_listener.append_handler(SSEHandler(response=resp, client_id=client_id, console_id=console_id,
+                                                     last_event_id=parse_last_event_id(request)))
+        while resp.is_connected():
+            await asyncio.sleep(1)
+
+    return resp
+
+
+@PromptServer.instance.routes.post("/ty-dev-utils/disable-log")  # noqa
+async def disable_log_stream(request: web.Request) -> web.StreamResponse:
+    client_id = request.query.get('client_id')
+    console_id = request.query.get('console_id')
+    # print(f"Disable Log Console. client id: {client_id}, console id: {console_id}")
+    log_listener.stop()
+    stop_log_catchers_if_needed()
+
+    return web.json_response({'code': 0})
+
+
+def is_log_console_enabled() -> bool:
+    """
+    Reads the `TyDev LogConsole Enabled` setting of the default user, the server starts before any page.
+    """
+    get_directory = getattr(folder_paths, 'get_user_directory', None)
+    if get_directory is None:
+        return True
+    try:
+        with open(os.path.join(get_directory(), 'default', 'comfy.settings.json'), 'r', encoding='utf-8') as f:
+            return json.load(f).get('TyDev-Utils.LogConsole.Enabled', True) is not False
+    except (OSError, ValueError, AttributeError):
+        return True
+
+
+# Records are kept from the start, so that a console opened later still shows what happened before
+if is_log_console_enabled():
+    start_log_catchers_if_needed()
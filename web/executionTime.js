@@ -4,8 +4,6 @@ import {$el} from "../../scripts/ui.js";
 
 // region: Refresh Timer
 let refreshTimer = null;
-let executionStartTime = null;
-let currentExecutingNodeId = null;  // Track currently executing node
 
 function stopRefreshTimer() {
     if (!refreshTimer) {
@@ -17,251 +15,2591 @@ function stopRefreshTimer() {
 
 function startRefreshTimer() {
     stopRefreshTimer();
-    executionStartTime = LiteGraph.getTime();
     refreshTimer = setInterval(function () {
         app.graph.setDirtyCanvas(true, false);
     }, 100);
 }
 
+// endregion
+
+// region: Prompt Executions
+// State is kept per prompt, so that queued prompts and prompts of other clients are never mixed together.
+const activeExecutions = new Map();  // prompt_id -> {run, startTime, nodeStartTimes, nodeProgress, currentExecutingNodeId}
+const ownPromptIds = new Set();  // Prompts queued by this client
+let pendingQueuePromptCount = 0;
+let ignoreOtherPrompts = false;
+
+function getPromptId(detail) {
+    return (typeof detail === 'object' && detail !== null) ? detail.prompt_id ?? null : null;
+}
+
+/**
+ * Finds the active execution an event belongs to.
+ * Old ComfyUI versions don't send the prompt id, in which case the latest execution is used.
+ */
+function findExecution(detail) {
+    const promptId = getPromptId(detail);
+    if (promptId !== null && activeExecutions.has(promptId)) {
+        return activeExecutions.get(promptId);
+    }
+    if (promptId === null || activeExecutions.has(null)) {
+        return [...activeExecutions.values()].pop() ?? null;
+    }
+    return null;
+}
+
+function isOwnPrompt(promptId) {
+    // The execution may start before the response of the queue request arrives
+    return promptId === null || ownPromptIds.has(promptId) || pendingQueuePromptCount > 0;
+}
+
+function setupOwnPromptTracking() {
+    const queuePrompt = api.queuePrompt;
+    api.queuePrompt = async function () {
+        pendingQueuePromptCount++;
+        try {
+            const res = await queuePrompt.apply(this, arguments);
+            if (res?.prompt_id) {
+                ownPromptIds.add(res.prompt_id);
+                activeBenchmark?.promptIds.push(res.prompt_id);
+            }
+            return res;
+        } finally {
+            pendingQueuePromptCount--;
+        }
+    };
+    ignoreOtherPrompts = app.ui.settings.addSetting({
+        id: "TyDev-Utils.ExecutionTime.IgnoreOtherPrompts",
+        name: "TyDev ExecutionTime Ignore prompts queued by other clients",
+        type: "boolean",
+        defaultValue: false,
+        onChange: (value) => {
+            ignoreOtherPrompts = value;
+        }
+    });
+}
+
+/**
+ * Maps an executed node id to the node on the canvas.
+ * Group nodes, subgraphs and expanded nodes execute with compound ids like "12:3",
+ * whose first part is the id of the node on the canvas.
+ * @returns {{node: LGraphNode|null, parentId: string|null, title: string, comfyClass: string|undefined}}
+ */
+function resolveExecutionNode(nodeId) {
+    const node = app.graph.getNodeById(nodeId);
+    if (node) {
+        return {node, parentId: null, title: node.title, comfyClass: node.comfyClass};
+    }
+    const segments = `${nodeId}`.split(/[:.]/);
+    const parent = segments.length > 1 ? app.graph.getNodeById(segments[0]) : null;
+    if (!parent) {
+        return {node: null, parentId: null, title: `${nodeId}`, comfyClass: undefined};
+    }
+    // Subgraphs keep their inner nodes, group nodes build them on demand
+    let inner = parent.getInnerNodes?.()?.find((x) => `${x.id}` === `${nodeId}`) ?? null;
+    if (!inner) {
+        inner = parent;
+        for (const segment of segments.slice(1)) {
+            inner = inner?.subgraph?.getNodeById?.(segment) ?? null;
+        }
+    }
+    return {
+        node: parent,
+        parentId: `${parent.id}`,
+        title: inner?.title ?? `${nodeId}`,
+        comfyClass: inner?.comfyClass ?? inner?.type
+    };
+}
+
+function getCanvasNode(nodeId) {
+    return resolveExecutionNode(nodeId).node;
+}
+
+/**
+ * Like `resolveExecutionNode`, but runs of other workflows never resolve to the nodes of the canvas.
+ */
+function resolveRunNode(execution, nodeId) {
+    if (!execution.onCanvas) {
+        return {node: null, parentId: null, title: `${nodeId}`, comfyClass: undefined};
+    }
+    return resolveExecutionNode(nodeId);
+}
+
+/**
+ * Title of a node of a run. Inner nodes keep the title they were recorded with.
+ */
+function getItemTitle(item) {
+    if (item.parent != null) {
+        return item.title ?? `${item.node}`;
+    }
+    return app.graph.getNodeById(item.node)?.title ?? item.title ?? `${item.node}`;
+}
+
+/**
+ * Starts the timer of a node. Inner nodes also start the live counter of their canvas node.
+ */
+function startNodeTimer(execution, nodeId) {
+    const now = LiteGraph.getTime();
+    execution.nodeStartTimes.set(`${nodeId}`, now);
+    const {node} = resolveRunNode(execution, nodeId);
+    if (node && node.ty_et_start_time === undefined) {
+        node.ty_et_start_time = now;
+    }
+}
+
 /**
  * Stops the timer for a specific node and calculates its execution time.
  * Called when node execution completes (either by next node starting or explicit completion).
+ * @param {object} execution - The execution the node belongs to
  * @param {string|number} nodeId - The node ID whose timer should be stopped
  * @param {number|null} executionTime - Execution time in ms, or null to calculate from start time
  * @param {number|null} vramUsed - VRAM used in bytes, or null if not available
+ * @param {number|null} ramUsed - Growth of the process RSS in bytes, or null if not available
+ * @param {number|null} ramPeak - Peak of the process RSS above its start in bytes, or null if not available
  */
-function stopNodeTimer(nodeId, executionTime = null, vramUsed = null) {
-    if (!nodeId) return;
-    
-    const node = app.graph.getNodeById(nodeId);
-    if (!node) return;
+function stopNodeTimer(execution, nodeId, executionTime = null, vramUsed = null, ramUsed = null, ramPeak = null) {
+    if (!execution || !nodeId) return;
     
     // Only process if this node has a start time (was actually running)
-    if (node.ty_et_start_time === undefined) return;
+    const nodeStartTime = execution.nodeStartTimes.get(`${nodeId}`);
+    if (nodeStartTime === undefined) return;
+    execution.nodeStartTimes.delete(`${nodeId}`);
+    execution.nodeProgress.delete(`${nodeId}`);
     
     // Calculate execution time if not provided
     if (executionTime === null) {
-        executionTime = LiteGraph.getTime() - node.ty_et_start_time;
+        executionTime = LiteGraph.getTime() - nodeStartTime;
     }
     
-    // Set the final execution time
-    node.ty_et_execution_time = executionTime;
-    if (vramUsed !== null) {
-        node.ty_et_vram_used = vramUsed;
+    // Offsets from the start of the run, used by the timeline view
+    const startTime = nodeStartTime - execution.startTime;
+
+    const {node, parentId, title, comfyClass} = resolveRunNode(execution, nodeId);
+    const run = execution.run;
+    const index = run.nodes_execution_time.findIndex(x => x.node === nodeId);
+    const data = {
+        node: nodeId,
+        title: title,
+        comfyClass: comfyClass,
+        execution_time: executionTime,
+        vram_used: vramUsed ?? 0,
+        ram_used: ramUsed ?? 0,
+        ram_peak: ramPeak ?? 0,
+        start_time: startTime,
+        end_time: startTime + executionTime
+    };
+    if (parentId !== null) {
+        data.parent = parentId;
     }
-    
-    // Clear start time to stop the live counter
-    delete node.ty_et_start_time;
-    
-    // Update running data if available
-    if (runningData) {
-        const index = runningData.nodes_execution_time.findIndex(x => x.node === nodeId);
-        const data = {
-            node: nodeId,
-            execution_time: executionTime,
-            vram_used: vramUsed ?? 0
-        };
-        if (index >= 0) {
-            runningData.nodes_execution_time[index] = data;
-        } else {
-            runningData.nodes_execution_time.push(data);
+    if (index >= 0) {
+        run.nodes_execution_time[index] = data;
+    } else {
+        run.nodes_execution_time.push(data);
+    }
+
+    if (execution.currentExecutingNodeId === nodeId) {
+        execution.currentExecutingNodeId = null;
+    }
+
+    if (!node) return;
+
+    // Set the final execution time, the sum of the inner nodes for a group node or subgraph
+    const item = findExecutedItem(run, node.id);
+    node.ty_et_execution_time = item.execution_time;
+    if (parentId !== null) {
+        node.ty_et_vram_used = item.vram_used;
+        node.ty_et_ram_peak = item.ram_peak;
+    } else {
+        if (vramUsed !== null) {
+            node.ty_et_vram_used = vramUsed;
         }
+        if (ramPeak !== null) {
+            node.ty_et_ram_peak = ramPeak;
+        }
+    }
+
+    // Clear start time to stop the live counter, unless other inner nodes are still running
+    const innerNodeRunning = parentId !== null && [...execution.nodeStartTimes.keys()].some((id) => getCanvasNode(id) === node);
+    if (!innerNodeRunning) {
+        delete node.ty_et_start_time;
+    }
+    if (node.ty_et_progress?.node === `${nodeId}`) {
+        delete node.ty_et_progress;
+    }
+
+    checkNodeBudget(node, node.ty_et_execution_time, node.ty_et_vram_used);
+}
+
+/**
+ * Starts tracking a prompt.
+ * @param {object} detail - Detail of "TyDev-Utils.ExecutionTime.execution_start", with the id of the workflow the
+ *   prompt was queued from, or of the native "execution_start"
+ */
+function handleExecutionStart(detail) {
+    const promptId = getPromptId(detail);
+    if (activeExecutions.has(promptId)) {
+        return;
+    }
+    const own = isOwnPrompt(promptId);
+    if (ignoreOtherPrompts && !own) {
+        return;
+    }
+
+    // ComfyUI executes one prompt at a time, so unfinished executions have ended without an end event
+    activeExecutions.forEach((execution) => handleExecutionEnd(execution, null));
+
+    // Prompts without a workflow id are only known to belong to the canvas when they were queued here
+    const canvasWorkflowKey = getWorkflowKey();
+    const workflowKey = detail?.workflow_id ?? (own ? canvasWorkflowKey : null);
+    const onCanvas = workflowKey === canvasWorkflowKey;
+    if (!onCanvas) {
+        // Runs of other workflows are only saved in their own history
+        activeExecutions.set(promptId, {
+            run: {
+                prompt_id: promptId,
+                own: own,
+                workflow: workflowKey,
+                workflow_hash: null,
+                timestamp: Date.now(),
+                nodes_execution_time: [],
+                total_execution_time: null
+            },
+            onCanvas: false,
+            startTime: LiteGraph.getTime(),
+            nodeStartTimes: new Map(),
+            nodeProgress: new Map(),
+            currentExecutingNodeId: null
+        });
+        return;
+    }
+
+    app.graph._nodes.forEach(function (node) {
+        delete node.ty_et_start_time;
+        delete node.ty_et_progress;
+        delete node.ty_et_execution_time;
+        delete node.ty_et_vram_used;
+        delete node.ty_et_ram_peak;
+        delete node.ty_et_over_budget;
+        delete node.ty_et_cached;
+        delete node.ty_et_last_run;
+        delete node.ty_et_failure;
+    });
+
+    // The fallback keys change when a workflow is saved or edited, the history follows the key of the new run
+    if (workflowKey !== historyWorkflowKey) {
+        reloadRunHistory();
     }
+
+    runningData = {
+        prompt_id: promptId,
+        own: own,
+        workflow: workflowKey,
+        workflow_hash: getWorkflowHash(),
+        timestamp: Date.now(),
+        nodes_execution_time: [],
+        total_execution_time: null
+    };
+    activeExecutions.set(promptId, {
+        run: runningData,
+        onCanvas: true,
+        startTime: LiteGraph.getTime(),
+        nodeStartTimes: new Map(),
+        nodeProgress: new Map(),
+        currentExecutingNodeId: null
+    });
+    updateHeatmapLegend();
+    startRefreshTimer();
+    refreshTable();
 }
 
 /**
  * Handles execution completion from any source.
  * Calculates execution time if not provided.
+ * @param {object} execution - The execution that ended
  * @param {number|null} executionTime - Execution time in ms, or null to calculate from start time
  */
-function handleExecutionEnd(executionTime = null) {
+function handleExecutionEnd(execution, executionTime = null) {
+    if (!execution || activeExecutions.get(execution.run.prompt_id) !== execution) {
+        return;
+    }
+    activeExecutions.delete(execution.run.prompt_id);
+
     // Stop the currently executing node's timer first
-    if (currentExecutingNodeId) {
-        stopNodeTimer(currentExecutingNodeId, null, null);
-        currentExecutingNodeId = null;
+    if (execution.currentExecutingNodeId) {
+        stopNodeTimer(execution, execution.currentExecutingNodeId, null, null);
     }
-    
-    stopRefreshTimer();
-    
-    if (runningData) {
-        // Calculate execution time if not provided
-        if (executionTime === null && executionStartTime !== null) {
-            executionTime = LiteGraph.getTime() - executionStartTime;
-        }
-        
-        // Only update if we have a valid execution time and haven't already completed
-        if (executionTime !== null && runningData.total_execution_time === null) {
-            runningData.total_execution_time = executionTime;
-            refreshTable();
+
+    if (activeExecutions.size === 0) {
+        stopRefreshTimer();
+
+        // Clear any remaining node start times to stop individual counters
+        if (app.graph?._nodes) {
+            app.graph._nodes.forEach(function (node) {
+                delete node.ty_et_start_time;
+                delete node.ty_et_progress;
+            });
         }
     }
-    
-    // Clear any remaining node start times to stop individual counters
-    if (app.graph?._nodes) {
-        app.graph._nodes.forEach(function (node) {
-            delete node.ty_et_start_time;
-        });
+
+    // Calculate execution time if not provided
+    if (executionTime === null) {
+        executionTime = LiteGraph.getTime() - execution.startTime;
     }
-    
-    executionStartTime = null;
+
+    const run = execution.run;
+    run.total_execution_time = executionTime;
+    if (execution.onCanvas) {
+        checkWorkflowBudget(executionTime);
+    }
+    saveRun(run).then(refreshTable);
+    refreshTable();
+    onBenchmarkRunEnded(run);
+    autoFreeMemory(run);
 }
 
 
 // endregion
 
-function formatExecutionTime(time) {
-    return `${(time / 1000.0).toFixed(2)}s`
+// region: Progress
+/**
+ * Tracks the steps reported by a running node (samplers, upscalers, ...).
+ * @param {object} execution - The execution the node belongs to
+ * @param {{value: number, max: number, node?: string}} detail - Detail of the "progress" event
+ */
+function updateNodeProgress(execution, detail) {
+    const nodeId = `${detail.node ?? execution.currentExecutingNodeId}`;
+    const nodeStartTime = execution.nodeStartTimes.get(nodeId);
+    if (nodeStartTime === undefined || !detail.max) {
+        return;
+    }
+    const now = LiteGraph.getTime();
+    let progress = execution.nodeProgress.get(nodeId);
+    // Nodes with several progress bars start over from the first step
+    if (!progress || detail.value < progress.value) {
+        progress = {node: nodeId, nodeStartTime, startTime: now, startValue: detail.value};
+        execution.nodeProgress.set(nodeId, progress);
+    }
+    progress.value = detail.value;
+    progress.max = detail.max;
+
+    const {node} = resolveRunNode(execution, nodeId);
+    if (node) {
+        node.ty_et_progress = progress;
+    }
 }
 
-// Reference: https://gist.github.com/zentala/1e6f72438796d74531803cc3833c039c
-function formatBytes(bytes, decimals) {
-    // Handle invalid values (undefined, null, NaN, negative)
-    if (bytes == null || isNaN(bytes) || bytes < 0) {
-        return 'N/A';
+/**
+ * Estimates the remaining time of a running node in ms, or null if there is nothing to estimate from.
+ * The step rate so far is trusted more as the node gets closer to its last step,
+ * the time of the node in a previous run is trusted more at the beginning.
+ */
+function estimateRemainingTime(progress) {
+    const remainingSteps = progress.max - progress.value;
+    if (remainingSteps <= 0) {
+        return 0;
     }
-    if (bytes === 0) {
-        return '0 B';
+    const now = LiteGraph.getTime();
+    const doneSteps = progress.value - progress.startValue;
+    const rateEstimate = doneSteps > 0 ? (now - progress.startTime) / doneSteps * remainingSteps : null;
+    const lastTime = findLastExecutedItem(progress.node)?.execution_time;
+    const lastRunEstimate = lastTime != null ? Math.max(lastTime - (now - progress.nodeStartTime), 0) : null;
+    if (rateEstimate === null || lastRunEstimate === null) {
+        return rateEstimate ?? lastRunEstimate;
     }
-    const k = 1024,
-        dm = decimals || 2,
-        sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'],
-        i = Math.floor(Math.log(bytes) / Math.log(k));
-    
-    // Safeguard against out-of-bounds index
-    if (i < 0 || i >= sizes.length) {
-        return 'N/A';
+    const ratio = progress.value / progress.max;
+    return ratio * rateEstimate + (1 - ratio) * lastRunEstimate;
+}
+
+function formatProgress(progress) {
+    if (!progress) {
+        return "";
     }
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+    const remainingTime = estimateRemainingTime(progress);
+    const stepText = `step ${progress.value}/${progress.max}`;
+    return remainingTime ? `${stepText} - ETA ${formatExecutionTime(remainingTime)}` : stepText;
+}
+
+function findRunExecution(run) {
+    return [...activeExecutions.values()].find((execution) => execution.run === run);
 }
 
+// endregion
 
-// Reference: https://github.com/ltdrdata/ComfyUI-Manager/blob/main/js/comfyui-manager.js
-function drawBadge(node, orig, restArgs) {
-    let ctx = restArgs[0];
-    const r = orig?.apply?.(node, restArgs);
+// region: Failures
+const RUN_STATUS_ERROR = "error";
+const RUN_STATUS_INTERRUPTED = "interrupted";
 
-    if (!node.flags.collapsed && node.constructor.title_mode != LiteGraph.NO_TITLE) {
-        let text = "";
-        if (node.ty_et_execution_time !== undefined) {
-            const timeText = formatExecutionTime(node.ty_et_execution_time);
-            const vramText = formatBytes(node.ty_et_vram_used, 2);
-            // Only show vram if it's a valid, non-zero value
-            if (node.ty_et_vram_used != null && node.ty_et_vram_used > 0) {
-                text = `${timeText} - vram ${vramText}`;
-            } else {
-                text = timeText;
+/**
+ * Attributes a failed or interrupted run to the node it stopped at, then ends the run as partial.
+ * @param {object} execution - The execution that failed
+ * @param {object} detail - Detail of the "execution_error" or "execution_interrupted" event
+ * @param {string} status - RUN_STATUS_ERROR or RUN_STATUS_INTERRUPTED
+ */
+function handleExecutionFailure(execution, detail, status) {
+    if (!execution) {
+        return;
+    }
+    const run = execution.run;
+    run.status = status;
+    run.partial = true;
+
+    const nodeId = detail?.node_id ?? execution.currentExecutingNodeId;
+    if (nodeId != null) {
+        stopNodeTimer(execution, nodeId, null, null);
+        const item = run.nodes_execution_time.find((x) => `${x.node}` === `${nodeId}`);
+        if (item) {
+            item.status = status;
+            if (status === RUN_STATUS_ERROR) {
+                item.exception_type = detail?.exception_type;
+                item.exception_message = detail?.exception_message;
+            }
+            const {node} = resolveRunNode(execution, nodeId);
+            if (node) {
+                node.ty_et_failure = {status, execution_time: item.execution_time};
             }
-        } else if (node.ty_et_start_time !== undefined) {
-            text = formatExecutionTime(LiteGraph.getTime() - node.ty_et_start_time);
         }
-        if (!text) {
-            return;
+    }
+    handleExecutionEnd(execution, null);
+}
+
+function formatFailure(status, executionTime) {
+    if (status === RUN_STATUS_INTERRUPTED) {
+        return "interrupted";
+    }
+    return `failed after ${formatExecutionTime(executionTime)}`;
+}
+
+// endregion
+
+// region: Run History
+const HISTORY_DB_NAME = "TyDev-Utils";
+const HISTORY_STORE_NAME = "ExecutionTimeRuns";
+const HISTORY_MAX_RUNS_PER_WORKFLOW = 50;
+
+const LATEST_RUN_OPTION = "Latest";
+const PREVIOUS_RUN_OPTION = "Previous";
+const BASELINE_RUN_OPTION = "Baseline";  // The pinned baseline, or the previous run if nothing is pinned
+
+let historyDBPromise = null;
+let historyWorkflowKey = null;
+let runHistory = [];  // Finished runs of the current workflow, newest first
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openHistoryDB() {
+    if (!historyDBPromise) {
+        const request = indexedDB.open(HISTORY_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(HISTORY_STORE_NAME, {keyPath: "id", autoIncrement: true});
+            store.createIndex("workflow", "workflow", {unique: false});
+        };
+        historyDBPromise = promisifyRequest(request);
+    }
+    return historyDBPromise;
+}
+
+// FNV-1a, only used to build short stable keys
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function getWorkflowHash() {
+    const nodes = (app.graph?._nodes ?? []).map((node) => `${node.id}:${node.type}`).sort();
+    return hashString(nodes.join('|'));
+}
+
+/**
+ * Key used to group runs in the history.
+ * Workflows are keyed by their id, which survives saving and renaming and matches the runs saved on the server.
+ * Frontends without workflow ids fall back to the path, then to a hash of the nodes.
+ */
+function getWorkflowKey() {
+    if (app.graph?.id) {
+        return app.graph.id;
+    }
+    const workflow = app.extensionManager?.workflow?.activeWorkflow ?? app.workflowManager?.activeWorkflow;
+    return workflow?.path ?? workflow?.name ?? `hash:${getWorkflowHash()}`;
+}
+
+/**
+ * Persists a finished run and prunes the oldest runs of its workflow.
+ * The run is kept in memory even if IndexedDB is unavailable.
+ * @param {object} run - The finished running data
+ */
+async function saveRun(run) {
+    if (run.workflow === historyWorkflowKey && !runHistory.includes(run)) {
+        runHistory.unshift(run);
+    }
+    // Prompts of other clients queued without a workflow belong to no history
+    if (run.workflow == null) {
+        return;
+    }
+    try {
+        const db = await openHistoryDB();
+        const transaction = db.transaction(HISTORY_STORE_NAME, "readwrite");
+        const store = transaction.objectStore(HISTORY_STORE_NAME);
+        run.id = await promisifyRequest(store.add(run));
+
+        const runs = await promisifyRequest(store.index("workflow").getAll(run.workflow));
+        runs.sort((a, b) => b.timestamp - a.timestamp)
+            .slice(HISTORY_MAX_RUNS_PER_WORKFLOW)
+            .forEach((x) => store.delete(x.id));
+    } catch (e) {
+        console.warn("[TyDev-Utils] Failed to save execution time run", e);
+    }
+    if (runHistory.length > HISTORY_MAX_RUNS_PER_WORKFLOW) {
+        runHistory.length = HISTORY_MAX_RUNS_PER_WORKFLOW;
+    }
+}
+
+async function reloadRunHistory() {
+    const workflowKey = getWorkflowKey();
+    historyWorkflowKey = workflowKey;
+    let runs = [];
+    try {
+        const db = await openHistoryDB();
+        const store = db.transaction(HISTORY_STORE_NAME, "readonly").objectStore(HISTORY_STORE_NAME);
+        runs = await promisifyRequest(store.index("workflow").getAll(workflowKey));
+    } catch (e) {
+        console.warn("[TyDev-Utils] Failed to load execution time history", e);
+    }
+    // The workflow may have changed while loading
+    if (historyWorkflowKey !== workflowKey) {
+        return;
+    }
+    runHistory = runs.sort((a, b) => b.timestamp - a.timestamp);
+    refreshTable();
+}
+
+/**
+ * Runs that can be picked in a `TY_ExecutionTime` node, newest first.
+ * Includes the runs of prompts that are still executing.
+ */
+function getKnownRuns() {
+    const runs = [...activeExecutions.values()]
+        .map((execution) => execution.run)
+        .filter((run) => run.workflow === historyWorkflowKey && !runHistory.includes(run))
+        .reverse();
+    return runs.concat(runHistory, getWorkflowLastRunIfUnknown() ?? [], serverRuns);
+}
+
+/**
+ * The run saved in the workflow, unless it is in the history already.
+ */
+function getWorkflowLastRunIfUnknown() {
+    const workflowLastRun = getWorkflowLastRun();
+    if (!workflowLastRun || runHistory.some((run) => run.timestamp === workflowLastRun.timestamp)) {
+        return null;
+    }
+    return workflowLastRun;
+}
+
+function getLatestRun() {
+    if (runningData && runningData.workflow === historyWorkflowKey) {
+        return runningData;
+    }
+    return runHistory[0] ?? getWorkflowLastRunIfUnknown();
+}
+
+/**
+ * Finds the last time a node actually executed, skipping runs where it was served from the cache.
+ * @returns {object|null} The node item of that run
+ */
+function findLastExecutedItem(nodeId) {
+    for (const run of runHistory) {
+        const item = findExecutedItem(run, nodeId);
+        if (item) {
+            return item;
         }
-        const fgColor = "white";
-        const bgColor = "#0F1F0F";
+    }
+    return null;
+}
 
-        ctx.save();
-        ctx.font = "12px sans-serif";
-        const textSize = ctx.measureText(text);
-        ctx.fillStyle = bgColor;
-        ctx.beginPath();
-        const paddingHorizontal = 6;
-        ctx.roundRect(0, -LiteGraph.NODE_TITLE_HEIGHT - 20, textSize.width + paddingHorizontal * 2, 20, 5);
-        ctx.fill();
+/**
+ * Finds the executed item of a node in a run.
+ * For group nodes and subgraphs, the item sums up the executed inner nodes.
+ */
+function findExecutedItem(run, nodeId) {
+    // Ids from events are strings while graph node ids are numbers
+    const items = run?.nodes_execution_time ?? [];
+    const item = items.find((x) => `${x.node}` === `${nodeId}` && !x.cached);
+    if (item) {
+        return item;
+    }
+    const innerItems = items.filter((x) => x.parent === `${nodeId}` && !x.cached);
+    if (innerItems.length === 0) {
+        return undefined;
+    }
+    return {
+        node: nodeId,
+        execution_time: innerItems.reduce((sum, x) => sum + x.execution_time, 0),
+        vram_used: Math.max(...innerItems.map((x) => x.vram_used ?? 0)),
+        ram_used: innerItems.reduce((sum, x) => sum + (x.ram_used ?? 0), 0),
+        ram_peak: Math.max(...innerItems.map((x) => x.ram_peak ?? 0))
+    };
+}
+
+function getRunLabel(run) {
+    const total = run.total_execution_time !== null ? formatExecutionTime(run.total_execution_time) : "running";
+    let label = `${run.server_id ? "[server]" : `#${run.id ?? "?"}`} ${new Date(run.timestamp).toLocaleString()} (${total})`;
+    if (run.prompt_id) {
+        label += ` prompt ${run.prompt_id.slice(0, 8)}`;
+    }
+    if (run.own === false) {
+        label += " [other client]";
+    }
+    if (run.partial) {
+        label += ` [${run.status}]`;
+    }
+    return label;
+}
+
+function findRunByLabel(label) {
+    return getKnownRuns().find((run) => getRunLabel(run) === label) ?? null;
+}
+
+/**
+ * Failed and interrupted runs are partial, they are never compared with.
+ */
+function isComparableRun(run) {
+    return !!run && run.total_execution_time !== null && !run.partial;
+}
+
+function findPreviousRun(currentRun) {
+    if (!currentRun) {
+        return null;
+    }
+    return runHistory.find((run) => run !== currentRun && run.timestamp < currentRun.timestamp && isComparableRun(run)) ?? null;
+}
+
+/**
+ * Resolves the runs picked in a `TY_ExecutionTime` node.
+ * @returns {[object|null, object|null]} The current run and the run it is compared with
+ */
+function getSelectedRuns(node) {
+    const currentValue = node.widgets?.find((w) => w.name === "Current Run")?.value;
+    const compareValue = node.widgets?.find((w) => w.name === "Compare Run")?.value;
+
+    const currentRun = (currentValue !== LATEST_RUN_OPTION && findRunByLabel(currentValue)) || getLatestRun();
+    const previousRun = findPreviousRun(currentRun);
+    let compareRun;
+    if (compareValue === PREVIOUS_RUN_OPTION) {
+        compareRun = previousRun;
+    } else if (compareValue === BASELINE_RUN_OPTION || !isComparableRun(findRunByLabel(compareValue))) {
+        compareRun = getPinnedBaselineRun() ?? previousRun;
+    } else {
+        compareRun = findRunByLabel(compareValue);
+    }
+    return [currentRun, compareRun];
+}
+
+// endregion
+
+// region: Workflow Last Run
+// Optionally, the latest run is saved in the workflow, so that a shared workflow carries its own timings.
+const LAST_RUN_EXTRA_KEY = "ty_et_last_run";
+// Commands of the new frontend that write the workflow to a file
+const SAVE_WORKFLOW_COMMANDS = ["Comfy.SaveWorkflow", "Comfy.SaveWorkflowAs", "Comfy.ExportWorkflow"];
+
+let saveLastRunInWorkflow = false;
+let serializingPrompt = false;
+
+function getWorkflowLastRun() {
+    return app.graph?.extra?.[LAST_RUN_EXTRA_KEY] ?? null;
+}
+
+function isRootGraph(graph) {
+    return graph === (app.rootGraph ?? app.graph);
+}
+
+function setupWorkflowLastRun() {
+    saveLastRunInWorkflow = app.ui.settings.addSetting({
+        id: "TyDev-Utils.ExecutionTime.SaveLastRunInWorkflow",
+        name: "TyDev ExecutionTime Save Last Run In Workflow",
+        type: "boolean",
+        defaultValue: false,
+        onChange: (value) => {
+            saveLastRunInWorkflow = value;
+        }
+    });
+
+    // The graph is serialized synchronously, before the first await of `graphToPrompt`
+    const graphToPrompt = app.graphToPrompt;
+    app.graphToPrompt = function () {
+        serializingPrompt = true;
+        try {
+            return graphToPrompt.apply(this, arguments);
+        } finally {
+            serializingPrompt = false;
+        }
+    };
+
+    const command = app.extensionManager?.command;
+    if (command?.execute) {
+        // The new frontend tracks changes by serializing the graph, so the run is only stored when saving
+        const execute = command.execute;
+        command.execute = function (commandId) {
+            if (SAVE_WORKFLOW_COMMANDS.includes(commandId)) {
+                storeWorkflowLastRun();
+            }
+            return execute.apply(this, arguments);
+        };
+    }
+
+    const serialize = LGraph.prototype.serialize;
+    LGraph.prototype.serialize = function () {
+        const data = serialize.apply(this, arguments);
+        if (!isRootGraph(this) || (!serializingPrompt && command?.execute)) {
+            return data;
+        }
+        // `extra` is shared with the graph, so it is copied before it is changed
+        const extra = {...data.extra};
+        delete extra[LAST_RUN_EXTRA_KEY];
+        // Prompts and the metadata of their images never carry the runs
+        if (serializingPrompt) {
+            delete extra[PINNED_BASELINE_EXTRA_KEY];
+        }
+        const run = serializingPrompt ? null : getWorkflowLastRunToStore();
+        if (run) {
+            extra[LAST_RUN_EXTRA_KEY] = run;
+        }
+        data.extra = extra;
+        return data;
+    };
+}
+
+function getWorkflowLastRunToStore() {
+    const run = getLatestRun();
+    if (!saveLastRunInWorkflow || !run || run.total_execution_time === null) {
+        return null;
+    }
+    return {
+        workflow: run.workflow,
+        workflow_hash: run.workflow_hash,
+        timestamp: run.timestamp,
+        status: run.status,
+        partial: run.partial,
+        total_execution_time: run.total_execution_time,
+        nodes_execution_time: run.nodes_execution_time.map((item) => ({...item}))
+    };
+}
+
+/**
+ * Stores the latest run in the graph right before the workflow is saved.
+ */
+function storeWorkflowLastRun() {
+    if (!app.graph) {
+        return;
+    }
+    const run = getWorkflowLastRunToStore();
+    if (run) {
+        app.graph.extra ??= {};
+        app.graph.extra[LAST_RUN_EXTRA_KEY] = run;
+    } else if (app.graph.extra) {
+        delete app.graph.extra[LAST_RUN_EXTRA_KEY];
+    }
+}
+
+/**
+ * Shows the timings of the run saved in the workflow on a loaded node, until the next run.
+ */
+function restoreWorkflowLastRun(node) {
+    const item = findExecutedItem(getWorkflowLastRun(), node.id);
+    if (!item) {
+        return;
+    }
+    node.ty_et_execution_time = item.execution_time;
+    node.ty_et_vram_used = item.vram_used;
+    node.ty_et_ram_peak = item.ram_peak;
+    node.ty_et_last_run = true;
+    if (item.status) {
+        node.ty_et_failure = {status: item.status, execution_time: item.execution_time};
+    }
+}
+
+// endregion
+
+// region: Pinned Baseline
+// The pinned run is stored in the workflow, so that it survives reloads and is shared along with the workflow.
+const PINNED_BASELINE_EXTRA_KEY = "ty_et_pinned_baseline";
+
+function getPinnedBaselineRun() {
+    return app.graph?.extra?.[PINNED_BASELINE_EXTRA_KEY] ?? null;
+}
+
+function isSameRun(a, b) {
+    return !!a && !!b && a.timestamp === b.timestamp && a.workflow === b.workflow;
+}
+
+function isPinnedBaselineRun(run) {
+    return isSameRun(run, getPinnedBaselineRun());
+}
+
+/**
+ * Pins a finished run as the baseline of the `Baseline` comparison.
+ * @param {object|null} run - The run to pin, or null to unpin
+ */
+function setPinnedBaselineRun(run) {
+    if (!app.graph) {
+        return;
+    }
+    if (run) {
+        app.graph.extra ??= {};
+        app.graph.extra[PINNED_BASELINE_EXTRA_KEY] = {
+            workflow: run.workflow,
+            workflow_hash: run.workflow_hash,
+            timestamp: run.timestamp,
+            status: run.status,
+            partial: run.partial,
+            total_execution_time: run.total_execution_time,
+            nodes_execution_time: run.nodes_execution_time.map((item) => ({...item}))
+        };
+    } else if (app.graph.extra) {
+        delete app.graph.extra[PINNED_BASELINE_EXTRA_KEY];
+    }
+    app.graph.setDirtyCanvas(true, true);
+    refreshTable();
+}
+
+function togglePinnedBaselineRun(run) {
+    if (isPinnedBaselineRun(run) || (!run && getPinnedBaselineRun())) {
+        setPinnedBaselineRun(null);
+    } else if (isComparableRun(run)) {
+        setPinnedBaselineRun(run);
+    }
+}
+
+function showRunContextMenu(event, run) {
+    const pinned = isPinnedBaselineRun(run);
+    const options = [
+        {
+            content: pinned ? "Unpin Baseline" : "Pin Run as Baseline",
+            disabled: !pinned && !isComparableRun(run),
+            callback: () => togglePinnedBaselineRun(run)
+        }
+    ];
+    if (!pinned && getPinnedBaselineRun()) {
+        options.push({content: "Unpin Baseline", callback: () => setPinnedBaselineRun(null)});
+    }
+    new LiteGraph.ContextMenu(options, {event});
+    event.preventDefault();
+}
+
+function getCompareRunOptions() {
+    return [BASELINE_RUN_OPTION, PREVIOUS_RUN_OPTION].concat(
+        runHistory.filter(isComparableRun).map(getRunLabel),
+        serverRuns.filter(isComparableRun).map(getRunLabel)
+    );
+}
+
+// endregion
+
+// region: Server Runs
+// The backend records every run, including prompts queued through the HTTP API without a client
+const SERVER_RUNS_ROUTE = "/ty-dev-utils/execution-time/runs";
+
+let serverRuns = [];  // Runs loaded from the server, newest first
+
+async function fetchServerRunsApi(path = "", options = undefined) {
+    const res = await api.fetchApi(`${SERVER_RUNS_ROUTE}${path}`, options);
+    if (res.status !== 200) {
+        throw new Error(`Request server runs fail, status: ${res.status}`);
+    }
+    return await res.json();
+}
+
+function toServerRun(data) {
+    // Inner nodes of group nodes and subgraphs are grouped like the runs recorded by the browser
+    data.nodes_execution_time.forEach(function (item) {
+        const {parentId} = resolveExecutionNode(item.node);
+        if (parentId !== null) {
+            item.parent = parentId;
+        }
+    });
+    return {
+        server_id: data.id,
+        prompt_id: data.prompt_id,
+        own: data.client_id == null ? null : data.client_id === api.clientId,
+        workflow: data.workflow_id ?? null,
+        timestamp: data.timestamp,
+        status: data.status,
+        partial: data.status !== undefined && data.status !== "success",
+        total_execution_time: data.total_execution_time ?? null,
+        nodes_execution_time: data.nodes_execution_time
+    };
+}
+
+/**
+ * Loads a run from the server and selects it in the "Current Run" or "Compare Run" widget of the node.
+ */
+async function loadServerRun(node, serverId, widgetName) {
+    const run = toServerRun(await fetchServerRunsApi(`/${encodeURIComponent(serverId)}`));
+    serverRuns = [run, ...serverRuns.filter((x) => x.server_id !== serverId)];
+    const widget = node.widgets?.find((w) => w.name === widgetName);
+    if (widget) {
+        widget.value = getRunLabel(run);
+    }
+    refreshTable();
+}
+
+async function deleteServerRun(serverId) {
+    await fetchServerRunsApi(`/${encodeURIComponent(serverId)}`, {method: "DELETE"});
+    serverRuns = serverRuns.filter((x) => x.server_id !== serverId);
+    refreshTable();
+}
+
+function showServerRunsError(e) {
+    app.ui.dialog.show(`[ERROR] ${e.message}`);
+    app.ui.dialog.element.style.zIndex = 10010;
+}
+
+async function showServerRunsMenu(node, event) {
+    let summaries;
+    try {
+        summaries = await fetchServerRunsApi();
+    } catch (e) {
+        showServerRunsError(e);
+        return;
+    }
+    const options = summaries.map(function (summary) {
+        const total = summary.total_execution_time != null ? formatExecutionTime(summary.total_execution_time) : "-";
+        const client = summary.client_id == null ? "no client" : summary.client_id === api.clientId ? "this client" : "other client";
+        const run = (action) => () => action().catch(showServerRunsError);
+        return {
+            content: `${new Date(summary.timestamp).toLocaleString()} (${total}) ${summary.node_count} nodes, ${client}, ${summary.status}`,
+            has_submenu: true,
+            submenu: {
+                options: [
+                    {content: "Load as Current Run", callback: run(() => loadServerRun(node, summary.id, "Current Run"))},
+                    {content: "Load as Compare Run", callback: run(() => loadServerRun(node, summary.id, "Compare Run"))},
+                    {content: "Delete", callback: run(() => deleteServerRun(summary.id))}
+                ]
+            }
+        };
+    });
+    if (options.length === 0) {
+        options.push({content: "No runs on the server", disabled: true});
+    }
+    new LiteGraph.ContextMenu(options, {event, title: "Server Runs"});
+}
+
+// endregion
+
+function formatExecutionTime(time) {
+    return `${(time / 1000.0).toFixed(2)}s`
+}
+
+// Reference: https://gist.github.com/zentala/1e6f72438796d74531803cc3833c039c
+function formatBytes(bytes, decimals) {
+    // Handle invalid values (undefined, null, NaN, negative)
+    if (bytes == null || isNaN(bytes) || bytes < 0) {
+        return 'N/A';
+    }
+    if (bytes === 0) {
+        return '0 B';
+    }
+    const k = 1024,
+        dm = decimals || 2,
+        sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'],
+        i = Math.floor(Math.log(bytes) / Math.log(k));
+    
+    // Safeguard against out-of-bounds index
+    if (i < 0 || i >= sizes.length) {
+        return 'N/A';
+    }
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+}
+
+
+// region: Budgets
+// Node budgets are stored in the node properties and the workflow budget in the workflow extra,
+// so that both are saved with the workflow.
+const TIME_BUDGET_PROPERTY = "ty_et_time_budget";
+const VRAM_BUDGET_PROPERTY = "ty_et_vram_budget";
+const WORKFLOW_TIME_BUDGET_EXTRA_KEY = "ty_et_time_budget";
+
+function isOverBudget(node, executionTime, vramUsed) {
+    const timeBudget = node?.properties?.[TIME_BUDGET_PROPERTY];
+    const vramBudget = node?.properties?.[VRAM_BUDGET_PROPERTY];
+    return (timeBudget != null && executionTime > timeBudget) || (vramBudget != null && vramUsed > vramBudget);
+}
+
+function getWorkflowTimeBudget() {
+    return app.graph?.extra?.[WORKFLOW_TIME_BUDGET_EXTRA_KEY] ?? null;
+}
+
+function isWorkflowOverBudget(totalExecutionTime) {
+    const budget = getWorkflowTimeBudget();
+    return budget !== null && totalExecutionTime !== null && totalExecutionTime > budget;
+}
+
+function showBudgetToast(summary, detail) {
+    const toast = app.extensionManager?.toast;
+    if (toast) {
+        toast.add({severity: "warn", summary, detail, life: 5000});
+    } else {
+        console.warn(`[TyDev-Utils] ${summary}: ${detail}`);
+    }
+}
+
+function checkNodeBudget(node, executionTime, vramUsed) {
+    const overBudget = isOverBudget(node, executionTime, vramUsed);
+    if (overBudget && !node.ty_et_over_budget) {
+        const details = [`time ${formatExecutionTime(executionTime)}`];
+        if (node.properties[TIME_BUDGET_PROPERTY] != null) {
+            details[0] += ` / budget ${formatExecutionTime(node.properties[TIME_BUDGET_PROPERTY])}`;
+        }
+        if (node.properties[VRAM_BUDGET_PROPERTY] != null) {
+            details.push(`vram ${formatBytes(vramUsed, 2)} / budget ${formatBytes(node.properties[VRAM_BUDGET_PROPERTY], 2)}`);
+        }
+        showBudgetToast(`#${node.id} ${node.title} is over budget`, details.join(", "));
+    }
+    node.ty_et_over_budget = overBudget;
+}
+
+function checkWorkflowBudget(totalExecutionTime) {
+    if (isWorkflowOverBudget(totalExecutionTime)) {
+        showBudgetToast(
+            "Workflow is over budget",
+            `total ${formatExecutionTime(totalExecutionTime)} / budget ${formatExecutionTime(getWorkflowTimeBudget())}`
+        );
+    }
+}
+
+/**
+ * Asks for a budget value. An empty value clears the budget.
+ * @param {string} title - Prompt title
+ * @param {number|null} value - Current value, in the unit of the prompt
+ * @param {function(number|null)} callback - Called with the new value
+ */
+function promptBudget(title, value, callback, event) {
+    app.canvas.prompt(title, value ?? "", (input) => {
+        const text = `${input}`.trim();
+        const newValue = text === "" ? null : parseFloat(text);
+        if (newValue !== null && (isNaN(newValue) || newValue < 0)) {
+            return;
+        }
+        callback(newValue);
+        app.graph.setDirtyCanvas(true, true);
+        refreshTable();
+    }, event);
+}
+
+function getNodeBudgetMenuOptions(node) {
+    const properties = node.properties ?? {};
+    const timeBudget = properties[TIME_BUDGET_PROPERTY];
+    const vramBudget = properties[VRAM_BUDGET_PROPERTY];
+    const options = [
+        {
+            content: timeBudget != null ? `Time Budget (${formatExecutionTime(timeBudget)})` : "Set Time Budget",
+            callback: (value, options, event) => {
+                promptBudget("Time Budget (s)", timeBudget != null ? timeBudget / 1000 : null, (seconds) => {
+                    node.properties ??= {};
+                    if (seconds === null) {
+                        delete node.properties[TIME_BUDGET_PROPERTY];
+                    } else {
+                        node.properties[TIME_BUDGET_PROPERTY] = Math.round(seconds * 1000);
+                    }
+                }, event);
+            }
+        },
+        {
+            content: vramBudget != null ? `VRAM Budget (${formatBytes(vramBudget, 2)})` : "Set VRAM Budget",
+            callback: (value, options, event) => {
+                promptBudget("VRAM Budget (MB)", vramBudget != null ? vramBudget / 1024 / 1024 : null, (megabytes) => {
+                    node.properties ??= {};
+                    if (megabytes === null) {
+                        delete node.properties[VRAM_BUDGET_PROPERTY];
+                    } else {
+                        node.properties[VRAM_BUDGET_PROPERTY] = Math.round(megabytes * 1024 * 1024);
+                    }
+                }, event);
+            }
+        }
+    ];
+    if (timeBudget != null || vramBudget != null) {
+        options.push({
+            content: "Clear Budgets",
+            callback: () => {
+                delete node.properties[TIME_BUDGET_PROPERTY];
+                delete node.properties[VRAM_BUDGET_PROPERTY];
+                node.ty_et_over_budget = false;
+                app.graph.setDirtyCanvas(true, true);
+                refreshTable();
+            }
+        });
+    }
+    return options;
+}
+
+function getWorkflowBudgetMenuOption() {
+    const budget = getWorkflowTimeBudget();
+    return {
+        content: budget !== null ? `Workflow Time Budget (${formatExecutionTime(budget)})` : "Set Workflow Time Budget",
+        callback: (value, options, event) => {
+            promptBudget("Workflow Time Budget (s), empty to clear", budget !== null ? budget / 1000 : null, (seconds) => {
+                app.graph.extra ??= {};
+                if (seconds === null) {
+                    delete app.graph.extra[WORKFLOW_TIME_BUDGET_EXTRA_KEY];
+                } else {
+                    app.graph.extra[WORKFLOW_TIME_BUDGET_EXTRA_KEY] = Math.round(seconds * 1000);
+                }
+            }, event);
+        }
+    };
+}
+
+function setupBudgetMenus(nodeType) {
+    const getExtraMenuOptions = nodeType.prototype.getExtraMenuOptions;
+    nodeType.prototype.getExtraMenuOptions = function (_, options) {
+        const r = getExtraMenuOptions?.apply(this, arguments);
+        options.push({
+            content: "Execution Budget",
+            has_submenu: true,
+            submenu: {options: getNodeBudgetMenuOptions(this)}
+        });
+        if (this.comfyClass === "TY_ExecutionTime") {
+            options.push(getWorkflowBudgetMenuOption());
+        }
+        return r;
+    };
+}
+
+// endregion
+
+// region: Heatmap
+const HEATMAP_STYLE_BODY = "Body";
+const HEATMAP_STYLE_OUTLINE = "Outline";
+
+let heatmapEnabled = false;
+let heatmapStyle = HEATMAP_STYLE_BODY;
+let heatmapLegendElem = null;
+let latestRunStatsCache = null;
+
+/**
+ * Total time of the latest run and the largest share of a single node.
+ * Cached until the latest run changes, since it is read by every node on every frame.
+ */
+function getLatestRunStats() {
+    const items = runningData?.nodes_execution_time ?? [];
+    const cacheKey = `${items.length}:${runningData?.total_execution_time}`;
+    if (latestRunStatsCache?.run === runningData && latestRunStatsCache.key === cacheKey) {
+        return latestRunStatsCache.stats;
+    }
+    let stats = null;
+    const total = runningData?.total_execution_time ?? items.reduce((sum, item) => sum + item.execution_time, 0);
+    if (items.length > 0 && total > 0) {
+        // Inner nodes of group nodes and subgraphs add up to the time of their canvas node
+        const nodeTimes = new Map();
+        items.forEach(function (item) {
+            const key = `${item.parent ?? item.node}`;
+            nodeTimes.set(key, (nodeTimes.get(key) ?? 0) + item.execution_time);
+        });
+        const maxShare = Math.max(...[...nodeTimes.values()].map((time) => time / total));
+        stats = {total, maxShare};
+    }
+    latestRunStatsCache = {run: runningData, key: cacheKey, stats};
+    return stats;
+}
+
+// Blue (cool) to red (hot)
+function heatmapColor(ratio, alpha = 1) {
+    const clamped = Math.min(Math.max(ratio, 0), 1);
+    return `hsla(${Math.round(240 * (1 - clamped))}, 90%, 50%, ${alpha})`;
+}
+
+function drawHeatmap(node, ctx) {
+    if (!heatmapEnabled || node.ty_et_execution_time === undefined) {
+        return;
+    }
+    const stats = getLatestRunStats();
+    if (!stats) {
+        return;
+    }
+    // Colors are relative to the hottest node, so that the scale is not wasted on large workflows
+    const ratio = stats.maxShare > 0 ? node.ty_et_execution_time / stats.total / stats.maxShare : 0;
+    ctx.save();
+    if (heatmapStyle === HEATMAP_STYLE_OUTLINE) {
+        ctx.strokeStyle = heatmapColor(ratio);
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.roundRect(-2, -LiteGraph.NODE_TITLE_HEIGHT - 2, node.size[0] + 4, node.size[1] + LiteGraph.NODE_TITLE_HEIGHT + 4, 8);
+        ctx.stroke();
+    } else {
+        ctx.fillStyle = heatmapColor(ratio, 0.35);
+        ctx.beginPath();
+        ctx.roundRect(0, 0, node.size[0], node.size[1], [0, 0, 8, 8]);
+        ctx.fill();
+    }
+    ctx.restore();
+}
+
+function updateHeatmapLegend() {
+    if (!heatmapLegendElem) {
+        heatmapLegendElem = $el("div", {
+            parent: document.body,
+            style: {
+                position: "fixed",
+                top: "50px",
+                right: "16px",
+                zIndex: 999,
+                padding: "6px 8px",
+                fontSize: "12px",
+                color: "var(--fg-color)",
+                background: "var(--comfy-menu-bg)",
+                border: "1px solid var(--border-color)",
+                borderRadius: "4px",
+                pointerEvents: "none"
+            }
+        });
+    }
+    const stats = getLatestRunStats();
+    heatmapLegendElem.hidden = !heatmapEnabled || !stats;
+    if (heatmapLegendElem.hidden) {
+        return;
+    }
+    heatmapLegendElem.replaceChildren(
+        $el("div", {textContent: "Share of total execution time", style: {marginBottom: "4px"}}),
+        $el("div", {
+            style: {
+                width: "180px",
+                height: "10px",
+                borderRadius: "2px",
+                background: `linear-gradient(to right, ${heatmapColor(0)}, ${heatmapColor(0.5)}, ${heatmapColor(1)})`
+            }
+        }),
+        $el("div", {style: {display: "flex", justifyContent: "space-between"}}, [
+            $el("span", {textContent: "0%"}),
+            $el("span", {textContent: `${(stats.maxShare * 100).toFixed(1)}%`})
+        ])
+    );
+}
+
+function setupHeatmapSettings() {
+    heatmapEnabled = app.ui.settings.addSetting({
+        id: "TyDev-Utils.ExecutionTime.Heatmap",
+        name: "TyDev ExecutionTime Heatmap",
+        type: "boolean",
+        defaultValue: false,
+        onChange: (value) => {
+            heatmapEnabled = value;
+            updateHeatmapLegend();
+            app.graph?.setDirtyCanvas(true, false);
+        }
+    });
+    heatmapStyle = app.ui.settings.addSetting({
+        id: "TyDev-Utils.ExecutionTime.HeatmapStyle",
+        name: "TyDev ExecutionTime Heatmap Style",
+        type: "combo",
+        options: [HEATMAP_STYLE_BODY, HEATMAP_STYLE_OUTLINE],
+        defaultValue: HEATMAP_STYLE_BODY,
+        onChange: (value) => {
+            heatmapStyle = value;
+            app.graph?.setDirtyCanvas(true, false);
+        }
+    });
+}
+
+// endregion
+
+// region: Groups
+function getGraphGroups() {
+    return app.graph?._groups ?? app.graph?.groups ?? [];
+}
+
+function getGroupBounding(group) {
+    return group._bounding ?? [group.pos[0], group.pos[1], group.size[0], group.size[1]];
+}
+
+/**
+ * Nodes of the current graph that overlap the group, the same rule LiteGraph uses to move nodes with a group.
+ */
+function getGroupNodes(group) {
+    const groupBounding = getGroupBounding(group);
+    return (app.graph?._nodes ?? []).filter(function (node) {
+        const nodeBounding = node.getBounding?.() ?? [node.pos[0], node.pos[1] - LiteGraph.NODE_TITLE_HEIGHT, node.size[0], node.size[1] + LiteGraph.NODE_TITLE_HEIGHT];
+        return LiteGraph.overlapBounding(groupBounding, nodeBounding);
+    });
+}
+
+/**
+ * Sums the node times and takes the peak VRAM of each group.
+ * @param {function(LGraphNode): {time: number, vram: number}|null} getNodeValues - Values of a node, null if it did not run
+ */
+function aggregateGroups(getNodeValues) {
+    return getGraphGroups().map(function (group) {
+        const nodes = getGroupNodes(group);
+        let time = 0;
+        let vram = 0;
+        let ram = 0;
+        let ramPeak = 0;
+        let count = 0;
+        nodes.forEach(function (node) {
+            const values = getNodeValues(node);
+            if (!values) {
+                return;
+            }
+            time += values.time;
+            vram = Math.max(vram, values.vram ?? 0);
+            ram += values.ram ?? 0;
+            ramPeak = Math.max(ramPeak, values.ramPeak ?? 0);
+            count += 1;
+        });
+        return {group, nodes, time, vram, ram, ramPeak, count};
+    });
+}
+
+function drawGroupBadges(ctx) {
+    const groupStats = aggregateGroups(function (node) {
+        if (node.ty_et_execution_time === undefined) {
+            return null;
+        }
+        return {time: node.ty_et_execution_time, vram: node.ty_et_vram_used};
+    });
+    groupStats.forEach(function ({group, time, vram, count}) {
+        if (count === 0) {
+            return;
+        }
+        const [x, y, width] = getGroupBounding(group);
+        const titleHeight = group.titleHeight ?? LiteGraph.NODE_TITLE_HEIGHT;
+        const text = vram > 0 ? `${formatExecutionTime(time)} - vram ${formatBytes(vram, 2)}` : formatExecutionTime(time);
+
+        ctx.save();
+        ctx.font = "12px sans-serif";
+        const textSize = ctx.measureText(text);
+        const paddingHorizontal = 6;
+        const badgeWidth = textSize.width + paddingHorizontal * 2;
+        const badgeHeight = 20;
+        const badgeX = x + width - badgeWidth - paddingHorizontal;
+        const badgeY = y + (titleHeight - badgeHeight) / 2;
+        ctx.fillStyle = "#0F1F0F";
+        ctx.beginPath();
+        ctx.roundRect(badgeX, badgeY, badgeWidth, badgeHeight, 5);
+        ctx.fill();
+        ctx.fillStyle = "white";
+        ctx.textBaseline = "middle";
+        ctx.fillText(text, badgeX + paddingHorizontal, badgeY + badgeHeight / 2);
+        ctx.restore();
+    });
+}
+
+function setupGroupBadges() {
+    const drawGroups = LGraphCanvas.prototype.drawGroups;
+    LGraphCanvas.prototype.drawGroups = function (canvas, ctx) {
+        const r = drawGroups.apply(this, arguments);
+        drawGroupBadges(ctx);
+        return r;
+    };
+}
+
+function buildGroupRows(currentRun, baselineRun) {
+    const getValues = (run) => function (node) {
+        const item = findExecutedItem(run, node.id);
+        return item ? {time: item.execution_time, vram: item.vram_used, ram: item.ram_used, ramPeak: item.ram_peak} : null;
+    };
+    const baselineStats = baselineRun ? aggregateGroups(getValues(baselineRun)) : [];
+    return aggregateGroups(getValues(currentRun))
+        .filter((stats) => stats.count > 0)
+        .map(function (stats) {
+            const baseline = baselineStats.find((x) => x.group === stats.group);
+            return {
+                title: stats.group.title,
+                nodes: stats.nodes,
+                count: stats.count,
+                time: stats.time,
+                preTime: baseline?.count > 0 ? baseline.time : undefined,
+                vram: stats.vram,
+                ram: stats.ram,
+                ramPeak: stats.ramPeak
+            };
+        });
+}
+
+// endregion
+
+// region: Critical Path
+const CRITICAL_PATH_COLOR = "#FFA500";
+
+// The path highlighted on the canvas, shown while a `TY_ExecutionTime` node is in the critical path view
+let highlightedCriticalPath = null;
+
+function getGraphLink(linkId) {
+    const links = app.graph.links;
+    return links instanceof Map ? links.get(linkId) : links?.[linkId];
+}
+
+/**
+ * Finds the longest chain of dependent nodes, weighted by the execution time of the run.
+ * Nodes that did not execute in the run (cached, virtual, ...) weigh nothing but still connect the chain.
+ * @returns {{steps: {node: LGraphNode, time: number, cumulative: number}[], nodeIds: Set, linkIds: Set, total: number}|null}
+ */
+function findCriticalPath(run) {
+    const nodes = app.graph?._nodes ?? [];
+    if (!run || nodes.length === 0) {
+        return null;
+    }
+    const memo = new Map();  // node id -> {length, previousNode, linkId}
+    const visiting = new Set();
+
+    function longestPathTo(node) {
+        if (memo.has(node.id)) {
+            return memo.get(node.id);
+        }
+        const weight = findExecutedItem(run, node.id)?.execution_time ?? 0;
+        const result = {length: weight, previousNode: null, linkId: null};
+        // Guard against cycles, which LiteGraph allows
+        if (visiting.has(node.id)) {
+            return result;
+        }
+        visiting.add(node.id);
+        (node.inputs ?? []).forEach(function (input) {
+            const link = input.link != null ? getGraphLink(input.link) : null;
+            const originNode = link ? app.graph.getNodeById(link.origin_id) : null;
+            if (!originNode) {
+                return;
+            }
+            const originPath = longestPathTo(originNode);
+            if (originPath.length + weight > result.length) {
+                result.length = originPath.length + weight;
+                result.previousNode = originNode;
+                result.linkId = link.id;
+            }
+        });
+        visiting.delete(node.id);
+        memo.set(node.id, result);
+        return result;
+    }
+
+    let endNode = null;
+    nodes.forEach(function (node) {
+        if (!endNode || longestPathTo(node).length > longestPathTo(endNode).length) {
+            endNode = node;
+        }
+    });
+    if (!endNode || longestPathTo(endNode).length <= 0) {
+        return null;
+    }
+
+    const chain = [];
+    const nodeIds = new Set();
+    const linkIds = new Set();
+    for (let node = endNode; node && !nodeIds.has(node.id); node = memo.get(node.id)?.previousNode) {
+        chain.unshift(node);
+        nodeIds.add(node.id);
+        const linkId = memo.get(node.id)?.linkId;
+        if (linkId != null) {
+            linkIds.add(linkId);
+        }
+    }
+    let cumulative = 0;
+    const steps = chain.map(function (node) {
+        const time = findExecutedItem(run, node.id)?.execution_time ?? 0;
+        cumulative += time;
+        return {node, time, cumulative};
+    });
+    return {steps, nodeIds, linkIds, total: cumulative};
+}
+
+function drawCriticalPathOutline(node, ctx) {
+    if (!highlightedCriticalPath?.nodeIds.has(node.id)) {
+        return;
+    }
+    ctx.save();
+    ctx.strokeStyle = CRITICAL_PATH_COLOR;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.roundRect(-4, -LiteGraph.NODE_TITLE_HEIGHT - 4, node.size[0] + 8, node.size[1] + LiteGraph.NODE_TITLE_HEIGHT + 8, 10);
+    ctx.stroke();
+    ctx.restore();
+}
+
+function setupCriticalPathLinks() {
+    const renderLink = LGraphCanvas.prototype.renderLink;
+    LGraphCanvas.prototype.renderLink = function (ctx, a, b, link, skip_border, flow, color) {
+        if (link && highlightedCriticalPath?.linkIds.has(link.id)) {
+            const args = [...arguments];
+            args[6] = CRITICAL_PATH_COLOR;
+            return renderLink.apply(this, args);
+        }
+        return renderLink.apply(this, arguments);
+    };
+}
+
+function buildCriticalPathHtml(currentRun, tableState = createTableState()) {
+    const criticalPath = findCriticalPath(currentRun);
+    highlightedCriticalPath = criticalPath;
+
+    const tableBody = $el("tbody");
+    const tableFooter = $el("tfoot", {style: {"background": "var(--comfy-input-bg)"}});
+    const headerThStyle = {"white-space": "nowrap"};
+    const table = $el("table", {
+        textAlign: "right",
+        border: "1px solid var(--border-color)",
+        style: {"border": "none", "border-spacing": "0", "font-size": "14px", "width": "100%"}
+    }, [
+        $el("thead", {style: {"background": "var(--comfy-input-bg)"}}, [
+            $el("tr", [
+                $el("th", {style: headerThStyle, "textContent": "Step"}),
+                $el("th", {style: headerThStyle, "textContent": "Node Id"}),
+                $el("th", {style: headerThStyle, "textContent": "Node Title"}),
+                $el("th", {style: headerThStyle, "textContent": "Time"}),
+                $el("th", {style: headerThStyle, "textContent": "Cumulative Time"})
+            ])
+        ]),
+        tableBody,
+        tableFooter
+    ]);
+    if (!criticalPath) {
+        return table;
+    }
+    criticalPath.steps.forEach(function (step, index) {
+        tableBody.append($el("tr", {
+            style: {"cursor": "pointer"},
+            onclick: () => selectNodeFromTable(step.node, tableState)
+        }, [
+            $el("td", {style: {"textAlign": "right"}, "textContent": index + 1}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": step.node.id}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": step.node.title}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": formatExecutionTime(step.time)}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": formatExecutionTime(step.cumulative)}),
+        ]));
+    });
+    const shareText = currentRun.total_execution_time ? ` (${(criticalPath.total * 100 / currentRun.total_execution_time).toFixed(1)}% of total)` : "";
+    tableFooter.append($el("tr", [
+        $el("td", {style: {"textAlign": "right"}, "textContent": "Total"}),
+        $el("td", {style: {"textAlign": "right"}, "textContent": ""}),
+        $el("td", {style: {"textAlign": "right"}, "textContent": `${criticalPath.steps.length} nodes`}),
+        $el("td", {style: {"textAlign": "right"}, "textContent": ""}),
+        $el("td", {style: {"textAlign": "right"}, "textContent": `${formatExecutionTime(criticalPath.total)}${shareText}`}),
+    ]));
+    return table;
+}
+
+// endregion
+
+// region: Benchmark
+// Only one benchmark can run at a time, since it shares the ComfyUI queue
+let activeBenchmark = null;
+
+/**
+ * @returns {{count: number, min: number, median: number, mean: number, p95: number, stddev: number}|null}
+ */
+function computeStatistics(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const count = sorted.length;
+    if (count === 0) {
+        return null;
+    }
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+    const middle = Math.floor(count / 2);
+    const median = count % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    // Nearest-rank percentile
+    const p95 = sorted[Math.ceil(0.95 * count) - 1];
+    // Sample standard deviation
+    const variance = count > 1 ? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1) : 0;
+    return {count, min: sorted[0], median, mean, p95, stddev: Math.sqrt(variance)};
+}
+
+function computeBenchmarkResults(runs) {
+    const nodes = new Map();
+    // Failed and interrupted runs stopped early
+    const finishedRuns = runs.filter((run) => !run.partial);
+    finishedRuns.forEach(function (run) {
+        run.nodes_execution_time.forEach(function (item) {
+            // Nodes served from the cache did not execute, so they would only skew the numbers
+            if (item.cached) {
+                return;
+            }
+            const entry = nodes.get(`${item.node}`) ?? {node: item.node, parent: item.parent, title: item.title, comfyClass: item.comfyClass, values: []};
+            entry.values.push(item.execution_time);
+            nodes.set(`${item.node}`, entry);
+        });
+    });
+    return {
+        nodes: [...nodes.values()].map(({values, ...entry}) => ({...entry, ...computeStatistics(values)})),
+        total: computeStatistics(finishedRuns.map((run) => run.total_execution_time).filter((time) => time !== null))
+    };
+}
+
+function onBenchmarkRunEnded(run) {
+    if (!activeBenchmark) {
+        return;
+    }
+    activeBenchmark.endedRuns.push(run);
+    activeBenchmark.onRunEnded?.();
+}
+
+function waitForBenchmarkRun(benchmark, promptId) {
+    return new Promise(function (resolve) {
+        benchmark.onRunEnded = function () {
+            if (benchmark.cancelled) {
+                resolve(null);
+                return;
+            }
+            const run = benchmark.endedRuns.find((x) => x.prompt_id === promptId);
+            if (run) {
+                resolve(run);
+            }
+        };
+        benchmark.onRunEnded();
+    });
+}
+
+/**
+ * Queues the current workflow `runCount` times, one run after another, and keeps the statistics in the node.
+ * The first `warmupCount` runs are left out of the statistics.
+ */
+async function runBenchmark(node, runCount, warmupCount) {
+    if (activeBenchmark) {
+        return;
+    }
+    const benchmark = {
+        node,
+        runCount,
+        warmupCount,
+        promptIds: [],
+        endedRuns: [],
+        runs: [],
+        cancelled: false,
+        onRunEnded: null
+    };
+    activeBenchmark = benchmark;
+    node.ty_et_benchmark = {runCount, warmupCount, completed: 0, running: true, results: null};
+    refreshTable();
+
+    try {
+        for (let i = 0; i < runCount && !benchmark.cancelled; i++) {
+            const promptCount = benchmark.promptIds.length;
+            await app.queuePrompt(0, 1);
+            const promptId = benchmark.promptIds[promptCount];
+            if (!promptId) {
+                // The prompt was not queued, e.g. the workflow failed validation
+                break;
+            }
+            const run = await waitForBenchmarkRun(benchmark, promptId);
+            if (!run) {
+                break;
+            }
+            benchmark.runs.push(run);
+            node.ty_et_benchmark.completed = benchmark.runs.length;
+            node.ty_et_benchmark.results = computeBenchmarkResults(benchmark.runs.slice(warmupCount));
+            refreshTable();
+        }
+    } finally {
+        node.ty_et_benchmark.running = false;
+        activeBenchmark = null;
+        refreshTable();
+    }
+}
+
+function cancelBenchmark() {
+    if (!activeBenchmark) {
+        return;
+    }
+    activeBenchmark.cancelled = true;
+    activeBenchmark.onRunEnded?.();
+}
+
+function buildBenchmarkHtml(node) {
+    const benchmark = node.ty_et_benchmark;
+    const tableBody = $el("tbody");
+    const tableFooter = $el("tfoot", {style: {"background": "var(--comfy-input-bg)"}});
+    const headerThStyle = {"white-space": "nowrap"};
+    const table = $el("table", {
+        textAlign: "right",
+        border: "1px solid var(--border-color)",
+        style: {"border": "none", "border-spacing": "0", "font-size": "14px", "width": "100%"}
+    }, [
+        $el("thead", {style: {"background": "var(--comfy-input-bg)"}}, [
+            $el("tr", [
+                $el("th", {style: headerThStyle, "textContent": "Node Id"}),
+                $el("th", {style: headerThStyle, "textContent": "Node Title"}),
+                $el("th", {style: headerThStyle, "textContent": "Runs"}),
+                $el("th", {style: headerThStyle, "textContent": "Min"}),
+                $el("th", {style: headerThStyle, "textContent": "Median"}),
+                $el("th", {style: headerThStyle, "textContent": "Mean"}),
+                $el("th", {style: headerThStyle, "textContent": "P95"}),
+                $el("th", {style: headerThStyle, "textContent": "Stddev"})
+            ])
+        ]),
+        tableBody,
+        tableFooter
+    ]);
+    if (!benchmark) {
+        return table;
+    }
+
+    const statisticsCells = (stats) => [
+        $el("td", {style: {"textAlign": "right"}, "textContent": stats ? stats.count : ''}),
+        ...["min", "median", "mean", "p95", "stddev"].map((key) => $el("td", {
+            style: {"textAlign": "right"},
+            "textContent": stats ? formatExecutionTime(stats[key]) : ''
+        }))
+    ];
+    benchmark.results?.nodes.forEach(function (entry) {
+        const graphNode = getCanvasNode(entry.node);
+        tableBody.append($el("tr", {
+            style: {"cursor": "pointer"},
+            onclick: () => selectNodeFromTable(graphNode, node.ty_et_table_state)
+        }, [
+            $el("td", {style: {"textAlign": "right"}, "textContent": entry.node}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": getItemTitle(entry)}),
+            ...statisticsCells(entry)
+        ]));
+    });
+
+    const warmupDone = Math.min(benchmark.completed, benchmark.warmupCount);
+    const progressText = benchmark.running
+        ? `Running ${benchmark.completed}/${benchmark.runCount}`
+        : `Done ${benchmark.completed}/${benchmark.runCount}`;
+    tableFooter.append($el("tr", [
+        $el("td", {style: {"textAlign": "right"}, "textContent": 'Total'}),
+        $el("td", {
+            style: {"textAlign": "right"},
+            "textContent": `${progressText}, ${warmupDone} warm-up`
+        }),
+        ...statisticsCells(benchmark.results?.total)
+    ]));
+    return table;
+}
+
+function exportBenchmarkJson(node) {
+    const benchmark = node.ty_et_benchmark;
+    if (!benchmark?.results) {
+        return;
+    }
+    const data = {
+        format: "TyDev-Utils.ExecutionTime.Benchmark",
+        version: 1,
+        workflow: getWorkflowKey(),
+        workflow_hash: getWorkflowHash(),
+        timestamp: Date.now(),
+        run_count: benchmark.completed,
+        warmup_count: benchmark.warmupCount,
+        ...benchmark.results
+    };
+    downloadFile(`execution_time_benchmark_${formatFileTimestamp(data.timestamp)}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+// endregion
+
+// region: Badge Settings
+const BADGE_POSITION_TOP_LEFT = "Top Left";
+const BADGE_POSITION_TOP_RIGHT = "Top Right";
+const BADGE_POSITION_BOTTOM_LEFT = "Bottom Left";
+const BADGE_POSITION_BOTTOM_RIGHT = "Bottom Right";
+
+// Current values of the badge settings, initialized with their defaults
+const badgeSettings = {
+    position: BADGE_POSITION_TOP_LEFT,
+    textColor: "white",
+    backgroundColor: "#0F1F0F",
+    fontSize: 12,
+    showTime: true,
+    showVram: true,
+    showRam: true,
+    showPercent: false,
+    showDiff: false,
+    hideThreshold: 0
+};
+
+function setupBadgeSettings() {
+    const definitions = [
+        {
+            key: "position",
+            id: "Position",
+            name: "Position",
+            type: "combo",
+            options: [BADGE_POSITION_TOP_LEFT, BADGE_POSITION_TOP_RIGHT, BADGE_POSITION_BOTTOM_LEFT, BADGE_POSITION_BOTTOM_RIGHT]
+        },
+        {key: "textColor", id: "TextColor", name: "Text Color", type: "text"},
+        {key: "backgroundColor", id: "BackgroundColor", name: "Background Color", type: "text"},
+        {key: "fontSize", id: "FontSize", name: "Font Size", type: "number"},
+        {key: "showTime", id: "ShowTime", name: "Show Elapsed Time", type: "boolean"},
+        {key: "showVram", id: "ShowVRAM", name: "Show VRAM", type: "boolean"},
+        {key: "showRam", id: "ShowRAM", name: "Show Peak RAM", type: "boolean"},
+        {key: "showPercent", id: "ShowPercent", name: "Show % of Total", type: "boolean"},
+        {key: "showDiff", id: "ShowDiff", name: "Show Diff vs Baseline", type: "boolean"},
+        {key: "hideThreshold", id: "HideThreshold", name: "Hide Below (ms)", type: "number"}
+    ];
+    definitions.forEach(function ({key, id, name, ...setting}) {
+        badgeSettings[key] = app.ui.settings.addSetting({
+            id: `TyDev-Utils.ExecutionTime.Badge.${id}`,
+            name: `TyDev ExecutionTime Badge ${name}`,
+            defaultValue: badgeSettings[key],
+            ...setting,
+            onChange: (value) => {
+                badgeSettings[key] = value;
+                app.graph?.setDirtyCanvas(true, false);
+            }
+        });
+    });
+}
+
+/**
+ * The run badges are compared with: the pinned baseline, or the run before the latest one.
+ */
+function getBadgeBaselineRun() {
+    const pinnedRun = getPinnedBaselineRun();
+    if (pinnedRun) {
+        return pinnedRun;
+    }
+    return findPreviousRun(getLatestRun());
+}
+
+function buildBadgeText(node) {
+    const parts = [];
+    if (badgeSettings.showTime) {
+        parts.push(formatExecutionTime(node.ty_et_execution_time));
+    }
+    // Only show vram if it's a valid, non-zero value
+    if (badgeSettings.showVram && node.ty_et_vram_used != null && node.ty_et_vram_used > 0) {
+        parts.push(`vram ${formatBytes(node.ty_et_vram_used, 2)}`);
+    }
+    if (badgeSettings.showRam && node.ty_et_ram_peak != null && node.ty_et_ram_peak > 0) {
+        parts.push(`ram ${formatBytes(node.ty_et_ram_peak, 2)}`);
+    }
+    if (badgeSettings.showPercent) {
+        const stats = getLatestRunStats();
+        if (stats) {
+            parts.push(`${(node.ty_et_execution_time * 100 / stats.total).toFixed(1)}%`);
+        }
+    }
+    if (badgeSettings.showDiff && !getLatestRun()?.partial) {
+        const baselineTime = findExecutedItem(getBadgeBaselineRun(), node.id)?.execution_time;
+        if (baselineTime) {
+            const diffTime = node.ty_et_execution_time - baselineTime;
+            parts.push(`${diffTime > 0 ? "+" : ""}${formatExecutionTime(diffTime)}`);
+        }
+    }
+    return parts.join(" - ");
+}
+
+// endregion
+
+// Reference: https://github.com/ltdrdata/ComfyUI-Manager/blob/main/js/comfyui-manager.js
+function drawBadge(node, orig, restArgs) {
+    let ctx = restArgs[0];
+    const r = orig?.apply?.(node, restArgs);
+
+    if (!node.flags.collapsed) {
+        drawHeatmap(node, ctx);
+        drawCriticalPathOutline(node, ctx);
+    }
+
+    if (!node.flags.collapsed && node.constructor.title_mode != LiteGraph.NO_TITLE) {
+        const hideThreshold = Number(badgeSettings.hideThreshold) || 0;
+        let text = "";
+        if (node.ty_et_start_time !== undefined) {
+            // Group nodes and subgraphs keep counting on top of their finished inner nodes
+            const elapsedTime = (node.ty_et_execution_time ?? 0) + LiteGraph.getTime() - node.ty_et_start_time;
+            if (elapsedTime >= hideThreshold) {
+                text = [formatExecutionTime(elapsedTime), formatProgress(node.ty_et_progress)].filter(Boolean).join(" - ");
+            }
+        } else if (node.ty_et_failure) {
+            text = formatFailure(node.ty_et_failure.status, node.ty_et_failure.execution_time);
+        } else if (node.ty_et_execution_time !== undefined) {
+            if (node.ty_et_execution_time >= hideThreshold) {
+                text = buildBadgeText(node);
+                if (node.ty_et_last_run) {
+                    text = `last run ${text}`;
+                }
+            }
+        } else if (node.ty_et_cached) {
+            const lastTime = node.ty_et_cached.last_execution_time;
+            text = lastTime != null ? `cached - last ${formatExecutionTime(lastTime)}` : "cached";
+        }
+        if (!text) {
+            return r;
+        }
+        const fgColor = badgeSettings.textColor || "white";
+        let bgColor = node.ty_et_over_budget || node.ty_et_failure ? "#B00020" : (badgeSettings.backgroundColor || "#0F1F0F");
+        if (node.ty_et_cached && node.ty_et_execution_time === undefined) {
+            bgColor = "#555555";
+        }
+
+        ctx.save();
+        const fontSize = Number(badgeSettings.fontSize) || 12;
+        ctx.font = `${fontSize}px sans-serif`;
+        const textSize = ctx.measureText(text);
+        const paddingHorizontal = 6;
+        const badgeWidth = textSize.width + paddingHorizontal * 2;
+        const badgeHeight = fontSize + 8;
+        const right = [BADGE_POSITION_TOP_RIGHT, BADGE_POSITION_BOTTOM_RIGHT].includes(badgeSettings.position);
+        const bottom = [BADGE_POSITION_BOTTOM_LEFT, BADGE_POSITION_BOTTOM_RIGHT].includes(badgeSettings.position);
+        const x = right ? node.size[0] - badgeWidth : 0;
+        const y = bottom ? node.size[1] + 4 : -LiteGraph.NODE_TITLE_HEIGHT - badgeHeight;
+
+        ctx.fillStyle = bgColor;
+        ctx.beginPath();
+        ctx.roundRect(x, y, badgeWidth, badgeHeight, 5);
+        ctx.fill();
+
+        ctx.fillStyle = fgColor;
+        ctx.textBaseline = "middle";
+        ctx.fillText(text, x + paddingHorizontal, y + badgeHeight / 2);
+        ctx.restore();
+    }
+    return r;
+}
+
+// Reference: https://github.com/ltdrdata/ComfyUI-Manager/blob/main/js/common.js
+// region: Memory Management
+const FREE_MEMORY_ACTIONS = {
+    "Unload Models": {unload_models: true, free_memory: false},
+    // The prompt worker always unloads the models when freeing memory, so there is no "Free Memory" alone
+    "Unload Models and Free Memory": {unload_models: true, free_memory: true}
+};
+const AUTO_FREE_DISABLED_OPTION = "Disabled";
+// The server frees memory on its prompt worker, so the stats need a moment to change
+const FREE_MEMORY_SETTLE_TIME = 1500;
+
+let autoFreeAction = AUTO_FREE_DISABLED_OPTION;
+let memoryPanelElem = null;
+let memoryPanelState = {busy: false, action: null, before: null, after: null};
+
+async function fetchSystemStats() {
+    const res = await api.fetchApi(`/system_stats`);
+    if (res.status !== 200) {
+        throw new Error(`Fetch system stats fail, status: ${res.status}`);
+    }
+    return await res.json();
+}
+
+/**
+ * Posts one of FREE_MEMORY_ACTIONS to "/free" and keeps the system stats from before and after.
+ */
+async function freeMemory(action) {
+    memoryPanelState = {busy: true, action, before: await fetchSystemStats(), after: null};
+    renderMemoryPanel();
+    try {
+        const res = await api.fetchApi(`/free`, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify(FREE_MEMORY_ACTIONS[action])
+        });
+        if (res.status !== 200) {
+            throw new Error(`${action} fail, status: ${res.status}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, FREE_MEMORY_SETTLE_TIME));
+        memoryPanelState.after = await fetchSystemStats();
+    } finally {
+        memoryPanelState.busy = false;
+        renderMemoryPanel();
+    }
+}
+
+async function runMemoryPanelAction(action) {
+    try {
+        await action();
+    } catch (e) {
+        app.ui.dialog.show(`[ERROR] ${e.message}`);
+        app.ui.dialog.element.style.zIndex = 10010;
+    }
+}
+
+function autoFreeMemory(run) {
+    // Every client would free memory otherwise
+    // Values of removed actions are kept by the settings, they count as disabled
+    if (!FREE_MEMORY_ACTIONS[autoFreeAction] || !run.own) {
+        return;
+    }
+    freeMemory(autoFreeAction).catch((e) => console.warn("[TyDev-Utils] Auto free memory fail.", e));
+}
+
+function getMemoryRows(stats) {
+    const rows = [];
+    if (stats?.system) {
+        rows.push({label: "RAM Used", value: stats.system.ram_total - stats.system.ram_free, total: stats.system.ram_total});
+    }
+    stats?.devices?.forEach(function (device) {
+        rows.push({label: `${device.name} VRAM Used`, value: device.vram_total - device.vram_free, total: device.vram_total});
+        rows.push({label: `${device.name} Torch Reserved`, value: device.torch_vram_total, total: device.vram_total});
+    });
+    return rows;
+}
+
+function buildMemoryStatsHtml(before, after) {
+    const cellStyle = {"textAlign": "right", "padding": "2px 6px", "white-space": "nowrap"};
+    const afterRows = getMemoryRows(after);
+    return $el("table", {style: {"border-spacing": "0", "width": "100%"}}, [
+        $el("thead", {style: {"background": "var(--comfy-input-bg)"}}, [
+            $el("tr", ["", "Before", "After", "Change"].map((text) => $el("th", {style: cellStyle, textContent: text})))
+        ]),
+        $el("tbody", getMemoryRows(before).map(function (row, index) {
+            const afterRow = afterRows[index];
+            const change = afterRow ? afterRow.value - row.value : null;
+            return $el("tr", [
+                $el("td", {style: {...cellStyle, "textAlign": "left"}, textContent: row.label}),
+                $el("td", {style: cellStyle, textContent: `${formatBytes(row.value, 2)} / ${formatBytes(row.total, 2)}`}),
+                $el("td", {style: cellStyle, textContent: afterRow ? formatBytes(afterRow.value, 2) : ""}),
+                $el("td", {
+                    style: {...cellStyle, "color": change < 0 ? "green" : ""},
+                    textContent: change === null ? "" : `${change > 0 ? "+" : change < 0 ? "-" : ""}${formatBytes(Math.abs(change), 2)}`
+                })
+            ]);
+        }))
+    ]);
+}
+
+function buildDeviceInfoHtml(stats) {
+    const system = stats?.system ?? {};
+    const lines = [
+        `OS: ${system.os ?? "unknown"}`,
+        `Python: ${system.python_version ?? "unknown"}`,
+        `PyTorch: ${system.pytorch_version ?? "unknown"}`,
+        ...(stats?.devices ?? []).map((device) => `Device ${device.index ?? ""}: ${device.name} (${device.type})`)
+    ];
+    if (system.comfyui_version) {
+        lines.unshift(`ComfyUI: ${system.comfyui_version}`);
+    }
+    return $el("div", {style: {"color": "var(--descrip-text)", "white-space": "pre-wrap"}, textContent: lines.join('\n')});
+}
+
+function renderMemoryPanel() {
+    if (!memoryPanelElem || memoryPanelElem.hidden) {
+        return;
+    }
+    const {busy, action, before, after} = memoryPanelState;
+    const buttons = Object.keys(FREE_MEMORY_ACTIONS).map((name) => $el("button", {
+        textContent: name,
+        disabled: busy,
+        onclick: () => runMemoryPanelAction(() => freeMemory(name))
+    }));
+    buttons.push($el("button", {
+        textContent: "Refresh",
+        disabled: busy,
+        onclick: () => runMemoryPanelAction(async () => {
+            memoryPanelState = {busy: false, action: null, before: await fetchSystemStats(), after: null};
+            renderMemoryPanel();
+        })
+    }));
+    let statusText = "";
+    if (busy) {
+        statusText = `${action}...`;
+    } else if (action) {
+        statusText = `${action} done.`;
+    }
+    memoryPanelElem.replaceChildren(
+        $el("div", {style: {"display": "flex", "justifyContent": "space-between", "marginBottom": "6px"}}, [
+            $el("strong", {textContent: "Memory Management"}),
+            $el("button", {textContent: "✕", onclick: () => toggleMemoryPanel(false)})
+        ]),
+        buildMemoryStatsHtml(before, after),
+        $el("div", {style: {"margin": "6px 0"}, textContent: statusText}),
+        $el("div", {style: {"display": "flex", "flexWrap": "wrap", "gap": "4px"}}, buttons),
+        $el("label", {style: {"display": "block", "margin": "6px 0"}}, [
+            $el("span", {textContent: "Auto free after each run: "}),
+            $el("select", {
+                onchange: (e) => app.ui.settings.setSettingValue("TyDev-Utils.ExecutionTime.AutoFreeMemory", e.target.value)
+            }, [AUTO_FREE_DISABLED_OPTION, ...Object.keys(FREE_MEMORY_ACTIONS)].map((option) => $el("option", {
+                value: option,
+                textContent: option,
+                selected: option === autoFreeAction
+            })))
+        ]),
+        buildDeviceInfoHtml(after ?? before)
+    );
+}
+
+function toggleMemoryPanel(visible = !memoryPanelElem || memoryPanelElem.hidden) {
+    if (!memoryPanelElem) {
+        memoryPanelElem = $el("div", {
+            parent: document.body,
+            hidden: true,
+            style: {
+                position: "fixed",
+                top: "50px",
+                left: "50%",
+                transform: "translateX(-50%)",
+                zIndex: 1000,
+                padding: "8px",
+                fontSize: "12px",
+                color: "var(--fg-color)",
+                background: "var(--comfy-menu-bg)",
+                border: "1px solid var(--border-color)",
+                borderRadius: "4px"
+            }
+        });
+    }
+    memoryPanelElem.hidden = !visible;
+    if (!visible) {
+        return;
+    }
+    renderMemoryPanel();
+    if (!memoryPanelState.busy) {
+        runMemoryPanelAction(async () => {
+            memoryPanelState = {busy: false, action: null, before: await fetchSystemStats(), after: null};
+            renderMemoryPanel();
+        });
+    }
+}
+
+function setupMemoryManagement() {
+    autoFreeAction = app.ui.settings.addSetting({
+        id: "TyDev-Utils.ExecutionTime.AutoFreeMemory",
+        name: "TyDev ExecutionTime Auto Free Memory After Each Run",
+        type: "combo",
+        options: [AUTO_FREE_DISABLED_OPTION, ...Object.keys(FREE_MEMORY_ACTIONS)],
+        defaultValue: AUTO_FREE_DISABLED_OPTION,
+        onChange: (value) => {
+            autoFreeAction = value;
+        }
+    });
+
+    const menu = document.querySelector(".comfy-menu");
+    const memoryButton = document.createElement("button");
+    memoryButton.textContent = "Memory Management";
+    memoryButton.onclick = () => toggleMemoryPanel();
+
+    menu?.append(memoryButton);
+}
+
+// endregion
+
+
+let runningData = null;
+
+
+// https://stackoverflow.com/a/56370447
+function exportTable(table, separator = ',') {
+    // Select rows from table_id
+    var rows = table.querySelectorAll('tr');
+    // Construct csv
+    var csv = [];
+    for (var i = 0; i < rows.length; i++) {
+        var row = [], cols = rows[i].querySelectorAll('td, th');
+        for (var j = 0; j < cols.length; j++) {
+            // Clean innertext to remove multiple spaces and jumpline (break csv)
+            var data = cols[j].innerText.replace(/(\r\n|\n|\r)/gm, '').replace(/(\s\s)/gm, ' ')
+            // Escape double-quote with double-double-quote (see https://stackoverflow.com/questions/17808511/properly-escape-a-double-quote-in-csv)
+            data = data.replace(/"/g, '""');
+            // Push escaped string
+            row.push('"' + data + '"');
+        }
+        csv.push(row.join(separator));
+    }
+    var csv_string = csv.join('\n');
+    // Download it
+    var filename = 'execution_time' + new Date().toLocaleDateString() + '.csv';
+    downloadFile(filename, csv_string, 'text/csv');
+}
+
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], {type: `${mimeType};charset=utf-8`}));
+    const link = $el("a", {
+        href: url,
+        download: filename,
+        style: {display: "none"},
+        parent: document.body
+    });
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function formatFileTimestamp(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Converts a run to the Chrome Trace Event format, which can be opened in Perfetto or chrome://tracing.
+ * Reference: https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+ */
+function buildTraceEvents(run) {
+    const pid = 1;
+    const tid = 1;
+    // Trace timestamps are in microseconds
+    const toMicroseconds = (ms) => Math.round(ms * 1000);
+    const traceEvents = [
+        {name: "process_name", ph: "M", pid, tid, args: {name: "ComfyUI"}},
+        {name: "thread_name", ph: "M", pid, tid, args: {name: "Execution"}}
+    ];
+    if (run.total_execution_time !== null) {
+        traceEvents.push({
+            name: "Workflow",
+            cat: "workflow",
+            ph: "X",
+            ts: 0,
+            dur: toMicroseconds(run.total_execution_time),
+            pid,
+            tid,
+            args: {workflow: run.workflow}
+        });
+    }
+    run.nodes_execution_time.forEach(function (item) {
+        if (item.start_time == null) {
+            return;
+        }
+        const title = getItemTitle(item);
+        traceEvents.push({
+            name: title,
+            cat: item.comfyClass ?? "node",
+            ph: "X",
+            ts: toMicroseconds(item.start_time),
+            dur: toMicroseconds(item.execution_time),
+            pid,
+            tid,
+            args: {
+                node_id: item.node,
+                title: title,
+                class: item.comfyClass,
+                vram_used: item.vram_used,
+                ram_used: item.ram_used,
+                ram_peak: item.ram_peak
+            }
+        });
+        traceEvents.push(
+            {name: "VRAM Used", ph: "C", ts: toMicroseconds(item.start_time), pid, args: {bytes: item.vram_used}},
+            {name: "VRAM Used", ph: "C", ts: toMicroseconds(item.end_time), pid, args: {bytes: 0}},
+            {name: "Peak RAM", ph: "C", ts: toMicroseconds(item.start_time), pid, args: {bytes: item.ram_peak ?? 0}},
+            {name: "Peak RAM", ph: "C", ts: toMicroseconds(item.end_time), pid, args: {bytes: 0}}
+        );
+    });
+    return {
+        traceEvents,
+        displayTimeUnit: "ms",
+        metadata: {
+            workflow: run.workflow,
+            timestamp: new Date(run.timestamp).toISOString(),
+            total_execution_time: run.total_execution_time
+        }
+    };
+}
+
+const RUN_EXPORT_FORMAT = "TyDev-Utils.ExecutionTime.Run";
+const RUN_EXPORT_VERSION = 1;
+
+function exportRunJson(run) {
+    if (!run) {
+        return;
+    }
+    const data = {
+        format: RUN_EXPORT_FORMAT,
+        version: RUN_EXPORT_VERSION,
+        workflow: run.workflow,
+        workflow_hash: run.workflow_hash ?? getWorkflowHash(),
+        timestamp: run.timestamp,
+        status: run.status,
+        partial: run.partial,
+        total_execution_time: run.total_execution_time,
+        nodes_execution_time: run.nodes_execution_time.map(function (item) {
+            const node = item.parent == null ? app.graph.getNodeById(item.node) : null;
+            return {
+                ...item,
+                title: getItemTitle(item),
+                comfyClass: node?.comfyClass ?? item.comfyClass
+            };
+        })
+    };
+    const filename = `execution_time_${formatFileTimestamp(run.timestamp)}.json`;
+    downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+}
+
+/**
+ * Parses a file written by `exportRunJson`.
+ * @throws {Error} If the file is not an exported run
+ */
+function parseRunJson(text) {
+    const data = JSON.parse(text);
+    if (data?.format !== RUN_EXPORT_FORMAT || !Array.isArray(data.nodes_execution_time)) {
+        throw new Error("Not an Execution Time run file.");
+    }
+    if (data.version > RUN_EXPORT_VERSION) {
+        throw new Error(`Unsupported run file version: ${data.version}.`);
+    }
+    return {
+        workflow: data.workflow,
+        workflow_hash: data.workflow_hash,
+        timestamp: data.timestamp,
+        status: data.status,
+        partial: !!data.partial,
+        total_execution_time: data.total_execution_time ?? null,
+        nodes_execution_time: data.nodes_execution_time
+    };
+}
+
+function importBaselineRun() {
+    const fileInput = $el("input", {
+        type: "file",
+        accept: ".json,application/json",
+        onchange: async () => {
+            const file = fileInput.files[0];
+            if (!file) {
+                return;
+            }
+            let run;
+            try {
+                run = parseRunJson(await file.text());
+            } catch (e) {
+                app.ui.dialog.show(`[ERROR] Import baseline fail: ${e.message}`);
+                app.ui.dialog.element.style.zIndex = 10010;
+                return;
+            }
+            if (!isComparableRun(run)) {
+                app.ui.dialog.show(`[ERROR] Import baseline fail: the run is ${run.status ?? "unfinished"}, only finished runs can be a baseline.`);
+                app.ui.dialog.element.style.zIndex = 10010;
+                return;
+            }
+            app.graph._nodes.forEach(function (node) {
+                const compareWidget = node.comfyClass === "TY_ExecutionTime" && node.widgets?.find((w) => w.name === "Compare Run");
+                if (compareWidget) {
+                    compareWidget.value = BASELINE_RUN_OPTION;
+                }
+            });
+            setPinnedBaselineRun(run);
+        }
+    });
+    fileInput.click();
+}
 
-        ctx.fillStyle = fgColor;
-        ctx.fillText(text, paddingHorizontal, -LiteGraph.NODE_TITLE_HEIGHT - paddingHorizontal);
-        ctx.restore();
+function exportTrace(run) {
+    if (!run) {
+        return;
     }
-    return r;
+    const filename = `execution_time_trace_${formatFileTimestamp(run.timestamp)}.json`;
+    downloadFile(filename, JSON.stringify(buildTraceEvents(run)), 'application/json');
 }
 
-// Reference: https://github.com/ltdrdata/ComfyUI-Manager/blob/main/js/common.js
-async function unloadModelsAndFreeMemory() {
-    let res = await api.fetchApi(`/free`, {
-        method: 'POST',
-        headers: {'Content-Type': 'application/json'},
-        body: '{"unload_models": true, "free_memory": true}'
-    });
+const SORT_KEYS = {
+    id: (row) => row.id,
+    title: (row) => row.title,
+    count: (row) => row.count,
+    time: (row) => row.time,
+    preTime: (row) => row.preTime,
+    diff: (row) => row.preTime != null ? row.time - row.preTime : undefined,
+    vram: (row) => row.vram,
+    ram: (row) => row.ram,
+    ramPeak: (row) => row.ramPeak
+};
 
-    if (res.status === 200) {
-        app.ui.dialog.show('<span style="color: green;">Unload models and free memory success.</span>')
-    } else {
-        app.ui.dialog.show('[ERROR] Unload models and free memory fail.')
+/**
+ * Selects the node of a clicked row. The profiler panel also scrolls the canvas to it.
+ */
+function selectNodeFromTable(node, tableState) {
+    if (!node) {
+        return;
+    }
+    app.canvas.selectNode(node, false);
+    if (tableState?.centerOnSelect) {
+        app.canvas.centerOnNode(node);
+        app.graph.setDirtyCanvas(true, true);
     }
-    app.ui.dialog.element.style.zIndex = 10010;
 }
 
-function setupClearExecutionCacheMenu() {
-    const menu = document.querySelector(".comfy-menu");
-    const freeButton = document.createElement("button");
-    freeButton.textContent = "Clear Execution Cache";
-    freeButton.onclick = async () => {
-        await unloadModelsAndFreeMemory();
+function createTableState() {
+    return {
+        sortKey: null,
+        sortDescending: true,
+        filter: "",
+        groupByClass: false,
+        centerOnSelect: false
     };
+}
 
-    menu.append(freeButton);
+function matchesTableFilter(filter, id, title) {
+    if (!filter) {
+        return true;
+    }
+    const keyword = filter.toLowerCase();
+    return `${id}`.toLowerCase().includes(keyword) || `${title}`.toLowerCase().includes(keyword);
 }
 
+/**
+ * Sorts table rows in place. Rows without a value for the sort key always go last.
+ */
+function sortTableRows(rows, tableState) {
+    const getValue = SORT_KEYS[tableState.sortKey];
+    if (!getValue) {
+        return rows;
+    }
+    const direction = tableState.sortDescending ? -1 : 1;
+    return rows.sort(function (a, b) {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        if (valueA == null || valueB == null) {
+            return (valueA == null) - (valueB == null);
+        }
+        if (typeof valueA === "string" || typeof valueB === "string") {
+            return direction * `${valueA}`.localeCompare(`${valueB}`, undefined, {numeric: true});
+        }
+        return direction * (valueA - valueB);
+    });
+}
 
-let lastRunningDate = null;
-let runningData = null;
+/**
+ * Items of the nodes that are still running in a run, with the time elapsed so far.
+ */
+function getRunningItems(run) {
+    const execution = findRunExecution(run);
+    if (!execution) {
+        return [];
+    }
+    const now = LiteGraph.getTime();
+    return [...execution.nodeStartTimes.entries()].map(function ([nodeId, nodeStartTime]) {
+        const {parentId, title, comfyClass} = resolveExecutionNode(nodeId);
+        const item = {
+            node: nodeId,
+            title,
+            comfyClass,
+            execution_time: now - nodeStartTime,
+            vram_used: 0,
+            ram_used: 0,
+            ram_peak: 0,
+            running: true,
+            progress: execution.nodeProgress.get(nodeId)
+        };
+        if (parentId !== null) {
+            item.parent = parentId;
+        }
+        return item;
+    });
+}
 
+function buildNodeRows(currentRun, baselineRun) {
+    const rows = [];
+    const parentRows = new Map();
+    [...currentRun.nodes_execution_time, ...getRunningItems(currentRun)].forEach(function (item) {
+        const node = getCanvasNode(item.node);
+        const row = {
+            id: item.node,
+            title: getItemTitle(item),
+            node: node,
+            time: item.execution_time,
+            preTime: findExecutedItem(baselineRun, item.node)?.execution_time,
+            vram: item.vram_used,
+            ram: item.ram_used,
+            ramPeak: item.ram_peak,
+            cached: !!item.cached,
+            lastTime: item.last_execution_time,
+            running: !!item.running,
+            progress: item.progress,
+            status: item.status,
+            exceptionType: item.exception_type,
+            exceptionMessage: item.exception_message,
+            overBudget: !item.cached && item.parent == null && isOverBudget(node, item.execution_time, item.vram_used)
+        };
+        if (item.parent == null) {
+            rows.push(row);
+            return;
+        }
 
-// https://stackoverflow.com/a/56370447
-function exportTable(table, separator = ',') {
-    // Select rows from table_id
-    var rows = table.querySelectorAll('tr');
-    // Construct csv
-    var csv = [];
-    for (var i = 0; i < rows.length; i++) {
-        var row = [], cols = rows[i].querySelectorAll('td, th');
-        for (var j = 0; j < cols.length; j++) {
-            // Clean innertext to remove multiple spaces and jumpline (break csv)
-            var data = cols[j].innerText.replace(/(\r\n|\n|\r)/gm, '').replace(/(\s\s)/gm, ' ')
-            // Escape double-quote with double-double-quote (see https://stackoverflow.com/questions/17808511/properly-escape-a-double-quote-in-csv)
-            data = data.replace(/"/g, '""');
-            // Push escaped string
-            row.push('"' + data + '"');
+        // Inner nodes of group nodes and subgraphs are listed below a row of their canvas node
+        let parentRow = parentRows.get(item.parent);
+        if (!parentRow) {
+            const parentItem = findExecutedItem(currentRun, item.parent);
+            parentRow = {
+                id: item.parent,
+                title: node?.title ?? item.parent,
+                node: node,
+                time: parentItem?.execution_time ?? 0,
+                preTime: findExecutedItem(baselineRun, item.parent)?.execution_time,
+                vram: parentItem?.vram_used ?? 0,
+                ram: parentItem?.ram_used ?? 0,
+                ramPeak: parentItem?.ram_peak ?? 0,
+                cached: !parentItem && !item.running,
+                lastTime: null,
+                running: false,
+                overBudget: !!parentItem && isOverBudget(node, parentItem.execution_time, parentItem.vram_used),
+                children: []
+            };
+            parentRows.set(item.parent, parentRow);
+            rows.push(parentRow);
         }
-        csv.push(row.join(separator));
-    }
-    var csv_string = csv.join('\n');
-    // Download it
-    var filename = 'execution_time' + new Date().toLocaleDateString() + '.csv';
-    var link = document.createElement('a');
-    link.style.display = 'none';
-    link.setAttribute('target', '_blank');
-    link.setAttribute('href', 'data:text/csv;charset=utf-8,' + encodeURIComponent(csv_string));
-    link.setAttribute('download', filename);
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+        row.title = `└ ${row.title}`;
+        row.child = true;
+        parentRow.children.push(row);
+        if (item.running) {
+            parentRow.time += item.execution_time;
+            parentRow.running = true;
+        }
+    });
+    return rows;
+}
+
+function buildClassRows(currentRun, baselineRun) {
+    const getClass = (item) => item.comfyClass ?? getCanvasNode(item.node)?.comfyClass ?? "Unknown";
+    const groups = new Map();
+    currentRun.nodes_execution_time.forEach(function (item) {
+        const comfyClass = getClass(item);
+        const row = groups.get(comfyClass) ?? {id: comfyClass, title: comfyClass, count: 0, time: 0, vram: 0, ram: 0, ramPeak: 0};
+        row.count += 1;
+        row.time += item.execution_time;
+        row.vram = Math.max(row.vram, item.vram_used ?? 0);
+        row.ram += item.ram_used ?? 0;
+        row.ramPeak = Math.max(row.ramPeak, item.ram_peak ?? 0);
+        groups.set(comfyClass, row);
+    });
+    baselineRun?.nodes_execution_time?.forEach(function (item) {
+        const row = groups.get(getClass(item));
+        if (row && !item.cached) {
+            row.preTime = (row.preTime ?? 0) + item.execution_time;
+        }
+    });
+    return [...groups.values()];
 }
 
-function buildTableHtml() {
+function buildTableHtml(currentRun, baselineRun, tableState = createTableState()) {
     const tableBody = $el("tbody")
+    const groupBody = $el("tbody")
     const tableFooter = $el("tfoot", {style: {"background": "var(--comfy-input-bg)"}})
-    const headerThStyle = {"white-space": "nowrap"}
+    const headerThStyle = {"white-space": "nowrap", "cursor": "pointer", "user-select": "none"}
+    const columns = tableState.groupByClass ? [
+        {key: "title", label: "Node Class"},
+        {key: "count", label: "Count"},
+    ] : [
+        {key: "id", label: "Node Id"},
+        {key: "title", label: "Node Title"},
+    ];
+    columns.push(
+        {key: "time", label: "Current Time"},
+        {key: "preTime", label: "Per Time"},
+        {key: "diff", label: "Cur / Pre Time Diff"},
+        {key: "vram", label: tableState.groupByClass ? "Max VRAM Used" : "VRAM Used"},
+        {key: "ram", label: "RAM Used"},
+        {key: "ramPeak", label: tableState.groupByClass ? "Max Peak RAM" : "Peak RAM"}
+    );
     const table = $el("table", {
         textAlign: "right",
         border: "1px solid var(--border-color)",
         style: {"border": "none", "border-spacing": "0", "font-size": "14px", "width": "100%"}
     }, [
         $el("thead", {style: {"background": "var(--comfy-input-bg)"}}, [
-            $el("tr", [
-                $el("th", {style: headerThStyle, "textContent": "Node Id"}),
-                $el("th", {style: headerThStyle, "textContent": "Node Title"}),
-                $el("th", {style: headerThStyle, "textContent": "Current Time"}),
-                $el("th", {style: headerThStyle, "textContent": "Per Time"}),
-                $el("th", {style: headerThStyle, "textContent": "Cur / Pre Time Diff"}),
-                $el("th", {style: headerThStyle, "textContent": "VRAM Used"})
-            ])
+            $el("tr", columns.map(function (column) {
+                const sorted = tableState.sortKey === column.key;
+                return $el("th", {
+                    style: headerThStyle,
+                    "textContent": sorted ? `${column.label} ${tableState.sortDescending ? "▼" : "▲"}` : column.label,
+                    onclick: () => {
+                        // Descending, then ascending, then back to the execution order
+                        if (!sorted) {
+                            tableState.sortKey = column.key;
+                            tableState.sortDescending = true;
+                        } else if (tableState.sortDescending) {
+                            tableState.sortDescending = false;
+                        } else {
+                            tableState.sortKey = null;
+                        }
+                        refreshTable();
+                    }
+                });
+            }))
         ]),
         tableBody,
+        groupBody,
         tableFooter
     ]);
-    if (runningData?.nodes_execution_time === undefined) {
+    if (currentRun?.nodes_execution_time === undefined) {
         return table;
     }
 
@@ -287,37 +2625,103 @@ function buildTableHtml() {
 
     let max_execution_time = null
     let max_vram_used = null
+    let max_ram_peak = null
 
-    runningData.nodes_execution_time.forEach(function (item) {
-        const nodeId = item.node;
-        const node = app.graph.getNodeById(nodeId)
-        const title = node?.title ?? nodeId
-        const preExecutionTime = lastRunningDate?.nodes_execution_time?.find(x => x.node === nodeId)?.execution_time
+    const rows = tableState.groupByClass ? buildClassRows(currentRun, baselineRun) : buildNodeRows(currentRun, baselineRun);
+    rows.forEach(function (row) {
+        if (max_execution_time == null || row.time > max_execution_time) {
+            max_execution_time = row.time
+        }
 
-        const [diffColor, diffText] = diff(item.execution_time, preExecutionTime);
+        if (max_vram_used == null || row.vram > max_vram_used) {
+            max_vram_used = row.vram
+        }
 
-        if (max_execution_time == null || item.execution_time > max_execution_time) {
-            max_execution_time = item.execution_time
+        if (max_ram_peak == null || row.ramPeak > max_ram_peak) {
+            max_ram_peak = row.ramPeak
         }
+    });
 
-        if (max_vram_used == null || item.vram_used > max_vram_used) {
-            max_vram_used = item.vram_used
+    const matchesFilter = (row) => matchesTableFilter(tableState.filter, row.id, row.title);
+    const visibleRows = rows.filter((row) => matchesFilter(row) || row.children?.some(matchesFilter));
+    // Inner nodes stay below their canvas node in the order they were executed
+    sortTableRows(visibleRows, tableState).flatMap((row) => [row, ...(row.children ?? [])]).forEach(function (row) {
+        // Cached nodes did not run, running nodes have not finished and partial runs stopped early,
+        // so there is nothing to compare
+        const [diffColor, diffText] = row.cached || row.running || currentRun.partial ? [] : diff(row.time, row.preTime);
+        let timeText = formatExecutionTime(row.time);
+        if (row.status) {
+            timeText = formatFailure(row.status, row.time);
+        } else if (row.cached) {
+            timeText = row.lastTime != null ? `cached (last ${formatExecutionTime(row.lastTime)})` : "cached";
+        } else if (row.progress) {
+            timeText = `${timeText} (${formatProgress(row.progress)})`;
         }
 
         tableBody.append($el("tr", {
+            title: row.overBudget ? "Over budget" : "",
+            style: {
+                "cursor": row.node ? "pointer" : "default",
+                "background": row.overBudget || row.status ? "rgba(176, 0, 32, 0.35)" : ""
+            },
+            onclick: () => selectNodeFromTable(row.node, tableState),
+            oncontextmenu: (e) => showRunContextMenu(e, currentRun)
+        }, [
+            $el("td", {
+                style: {"textAlign": "right"},
+                "textContent": tableState.groupByClass ? row.title : row.id
+            }),
+            $el("td", {
+                style: {"textAlign": "right", "color": row.child ? "var(--descrip-text)" : ""},
+                "textContent": tableState.groupByClass ? row.count : row.title
+            }, row.exceptionType || row.exceptionMessage ? [
+                $el("div", {
+                    style: {"color": "#FF5252", "white-space": "pre-wrap"},
+                    "textContent": [row.exceptionType, row.exceptionMessage].filter(Boolean).join(": ")
+                })
+            ] : []),
+            $el("td", {
+                style: {"textAlign": "right", "color": row.cached ? "var(--descrip-text)" : ""},
+                "textContent": timeText
+            }),
+            $el("td", {
+                style: {"textAlign": "right"},
+                "textContent": row.preTime !== undefined ? formatExecutionTime(row.preTime) : undefined
+            }),
+            $el("td", {
+                style: {
+                    "textAlign": "right",
+                    "color": diffColor
+                },
+                "textContent": diffText
+            }),
+            $el("td", {style: {"textAlign": "right"}, "textContent": formatBytes(row.vram, 2)}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": formatBytes(row.ram, 2)}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": formatBytes(row.ramPeak, 2)}),
+        ]))
+    });
+
+    const groupRows = tableState.groupByClass ? [] : buildGroupRows(currentRun, baselineRun)
+        .filter((row) => matchesTableFilter(tableState.filter, "", row.title));
+    if (groupRows.length > 0) {
+        groupBody.append($el("tr", {style: {"background": "var(--comfy-input-bg)"}}, [
+            $el("th", {colSpan: columns.length, style: {"textAlign": "left"}, "textContent": "By Group"})
+        ]));
+    }
+    groupRows.forEach(function (row) {
+        const [diffColor, diffText] = diff(row.time, row.preTime);
+        groupBody.append($el("tr", {
             style: {"cursor": "pointer"},
             onclick: () => {
-                if (node) {
-                    app.canvas.selectNode(node, false);
-                }
+                app.canvas.selectNodes?.(row.nodes);
             }
         }, [
-            $el("td", {style: {"textAlign": "right"}, "textContent": nodeId}),
-            $el("td", {style: {"textAlign": "right"}, "textContent": title}),
-            $el("td", {style: {"textAlign": "right"}, "textContent": formatExecutionTime(item.execution_time)}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": `${row.count} nodes`}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": row.title}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": formatExecutionTime(row.time)}),
             $el("td", {
                 style: {"textAlign": "right"},
-                "textContent": preExecutionTime !== undefined ? formatExecutionTime(preExecutionTime) : undefined
+                "textContent": row.preTime !== undefined ? formatExecutionTime(row.preTime) : undefined
             }),
             $el("td", {
                 style: {
@@ -326,11 +2730,14 @@ function buildTableHtml() {
                 },
                 "textContent": diffText
             }),
-            $el("td", {style: {"textAlign": "right"}, "textContent": formatBytes(item.vram_used, 2)}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": formatBytes(row.vram, 2)}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": formatBytes(row.ram, 2)}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": formatBytes(row.ramPeak, 2)}),
         ]))
     });
-    if (runningData.total_execution_time !== null) {
-        const [diffColor, diffText] = diff(runningData.total_execution_time, lastRunningDate?.total_execution_time);
+
+    if (currentRun.total_execution_time !== null) {
+        const [diffColor, diffText] = currentRun.partial ? [] : diff(currentRun.total_execution_time, baselineRun?.total_execution_time);
 
          tableFooter.append($el("tr", [
             $el("td", {style: {"textAlign": "right"}, "textContent": 'Max'}),
@@ -354,18 +2761,46 @@ function buildTableHtml() {
                 style: {"textAlign": "right"},
                 "textContent": max_vram_used != null ? formatBytes(max_vram_used, 2) : ''
             }),
+            $el("td", {style: {"textAlign": "right"}, "textContent": ''}),
+            $el("td", {
+                style: {"textAlign": "right"},
+                "textContent": max_ram_peak != null ? formatBytes(max_ram_peak, 2) : ''
+            }),
         ]))
 
-        tableFooter.append($el("tr", [
+        const cachedItems = currentRun.nodes_execution_time.filter((item) => item.cached);
+        if (cachedItems.length > 0) {
+            const savedTime = cachedItems.reduce((sum, item) => sum + (item.last_execution_time ?? 0), 0);
+            tableFooter.append($el("tr", {style: {"color": "var(--descrip-text)"}}, [
+                $el("td", {style: {"textAlign": "right"}, "textContent": 'Cached'}),
+                $el("td", {style: {"textAlign": "right"}, "textContent": `${cachedItems.length} nodes`}),
+                $el("td", {style: {"textAlign": "right"}, "textContent": `saved ~${formatExecutionTime(savedTime)}`}),
+                $el("td", {style: {"textAlign": "right"}, "textContent": ''}),
+                $el("td", {style: {"textAlign": "right"}, "textContent": ''}),
+                $el("td", {style: {"textAlign": "right"}, "textContent": ''}),
+                $el("td", {style: {"textAlign": "right"}, "textContent": ''}),
+                $el("td", {style: {"textAlign": "right"}, "textContent": ''}),
+            ]))
+        }
+
+        const workflowBudget = getWorkflowTimeBudget();
+        const overBudget = isWorkflowOverBudget(currentRun.total_execution_time);
+        tableFooter.append($el("tr", {
+            title: overBudget ? "Over budget" : "",
+            style: {"background": overBudget ? "rgba(176, 0, 32, 0.35)" : ""}
+        }, [
             $el("td", {style: {"textAlign": "right"}, "textContent": 'Total'}),
-            $el("td", {style: {"textAlign": "right"}, "textContent": ''}),
             $el("td", {
                 style: {"textAlign": "right"},
-                "textContent": formatExecutionTime(runningData.total_execution_time)
+                "textContent": workflowBudget !== null ? `Budget ${formatExecutionTime(workflowBudget)}` : ''
+            }),
+            $el("td", {
+                style: {"textAlign": "right"},
+                "textContent": formatExecutionTime(currentRun.total_execution_time)
             }),
             $el("td", {
                 style: {"textAlign": "right"},
-                "textContent": lastRunningDate?.total_execution_time ? formatExecutionTime(lastRunningDate?.total_execution_time) : undefined
+                "textContent": baselineRun?.total_execution_time ? formatExecutionTime(baselineRun?.total_execution_time) : undefined
             }),
             $el("td", {
                 style: {
@@ -375,19 +2810,456 @@ function buildTableHtml() {
                 "textContent": diffText
             }),
             $el("td", {style: {"textAlign": "right"}, "textContent": ""}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": ""}),
+            $el("td", {style: {"textAlign": "right"}, "textContent": ""}),
         ]))
     }
     return table;
 }
 
+// region: Report
+const REPORT_TOP_NODE_COUNT = 10;
+// The report is opened outside of ComfyUI, so the theme variables used by the table are defined in it
+const REPORT_STYLE = `
+:root {
+    --fg-color: #fff;
+    --comfy-menu-bg: #353535;
+    --comfy-input-bg: #222;
+    --border-color: #4e4e4e;
+    --descrip-text: #999;
+}
+body { margin: 16px; font-family: sans-serif; color: var(--fg-color); background: var(--comfy-menu-bg); }
+h1 { font-size: 20px; }
+h2 { font-size: 16px; margin-top: 24px; }
+td, th { padding: 2px 6px; }
+pre { max-height: 400px; overflow: auto; padding: 8px; background: var(--comfy-input-bg); }
+`;
+
+function buildReportBarChartHtml(run) {
+    const items = run.nodes_execution_time
+        .filter((item) => !item.cached)
+        .sort((a, b) => b.execution_time - a.execution_time)
+        .slice(0, REPORT_TOP_NODE_COUNT);
+    const maxTime = items[0]?.execution_time || 1;
+    return $el("div", items.map((item) => $el("div", {style: {"display": "flex", "alignItems": "center", "margin": "2px 0"}}, [
+        $el("div", {
+            style: {"width": "240px", "flexShrink": "0", "overflow": "hidden", "whiteSpace": "nowrap", "textOverflow": "ellipsis"},
+            textContent: `#${item.node} ${getItemTitle(item)}`
+        }),
+        $el("div", {
+            style: {
+                "width": `${Math.max(item.execution_time / maxTime * 60, 0.5)}%`,
+                "height": "14px",
+                "background": CRITICAL_PATH_COLOR,
+                "marginRight": "6px"
+            }
+        }),
+        $el("div", {textContent: formatExecutionTime(item.execution_time)})
+    ])));
+}
+
+function buildReportTotalsHtml(currentRun, baselineRun) {
+    const rows = [
+        ["Run", getRunLabel(currentRun)],
+        ["Compared With", baselineRun ? getRunLabel(baselineRun) : "-"],
+        ["Total", currentRun.total_execution_time !== null ? formatExecutionTime(currentRun.total_execution_time) : "-"],
+        ["Compared Total", baselineRun?.total_execution_time ? formatExecutionTime(baselineRun.total_execution_time) : "-"],
+        ["Executed Nodes", `${currentRun.nodes_execution_time.filter((item) => !item.cached).length}`],
+        ["Cached Nodes", `${currentRun.nodes_execution_time.filter((item) => item.cached).length}`]
+    ];
+    return $el("table", rows.map(([label, value]) => $el("tr", [
+        $el("th", {style: {"textAlign": "left"}, textContent: label}),
+        $el("td", {textContent: value})
+    ])));
+}
+
+/**
+ * Downloads a single HTML file with everything needed to read the run without ComfyUI.
+ */
+async function exportReport(node) {
+    const [currentRun, baselineRun] = getSelectedRuns(node);
+    if (!currentRun) {
+        return;
+    }
+    let systemStats = null;
+    try {
+        systemStats = await fetchSystemStats();
+    } catch (e) {
+        console.warn("[TyDev-Utils] Fetch system stats for the report fail.", e);
+    }
+    const title = `Execution Time Report - ${currentRun.workflow ?? "workflow"} - ${new Date(currentRun.timestamp).toLocaleString()}`;
+    const body = $el("div", [
+        $el("h1", {textContent: title}),
+        $el("h2", {textContent: "Totals"}),
+        buildReportTotalsHtml(currentRun, baselineRun),
+        $el("h2", {textContent: `Top ${REPORT_TOP_NODE_COUNT} Nodes`}),
+        buildReportBarChartHtml(currentRun),
+        $el("h2", {textContent: "Nodes"}),
+        buildTableHtml(currentRun, baselineRun, createTableState()),
+        $el("h2", {textContent: "Environment"}),
+        systemStats ? buildDeviceInfoHtml(systemStats) : $el("div", {textContent: "Not available."}),
+        $el("table", getMemoryRows(systemStats).map((row) => $el("tr", [
+            $el("th", {style: {"textAlign": "left"}, textContent: row.label}),
+            $el("td", {textContent: `${formatBytes(row.value, 2)} / ${formatBytes(row.total, 2)}`})
+        ]))),
+        $el("h2", {textContent: "Workflow"}),
+        $el("details", [
+            $el("summary", {textContent: "Workflow JSON"}),
+            $el("pre", {textContent: JSON.stringify(app.graph.serialize(), null, 2)})
+        ])
+    ]);
+    const titleElem = $el("title", {textContent: title});
+    const html = [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        `<head><meta charset="utf-8">${titleElem.outerHTML}<style>${REPORT_STYLE}</style></head>`,
+        `<body>${body.innerHTML}</body>`,
+        '</html>'
+    ].join('\n');
+    downloadFile(`execution_time_report_${formatFileTimestamp(currentRun.timestamp)}.html`, html, 'text/html');
+}
+
+// endregion
+
+const TABLE_VIEW_OPTION = "Table";
+const TIMELINE_VIEW_OPTION = "Timeline";
+const CRITICAL_PATH_VIEW_OPTION = "Critical Path";
+const BENCHMARK_VIEW_OPTION = "Benchmark";
+
+/**
+ * Builds a horizontal timeline of the run, one lane per node plus an overview lane on top.
+ * Empty space between bars is time where no node was executing.
+ */
+function buildTimelineHtml(currentRun, tableState = createTableState()) {
+    const container = $el("div", {style: {"font-size": "12px", "width": "100%"}});
+    const items = (currentRun?.nodes_execution_time ?? []).filter(function (item) {
+        return item.start_time != null && matchesTableFilter(tableState.filter, item.node, getItemTitle(item));
+    });
+    if (items.length === 0) {
+        container.append($el("div", {
+            style: {"padding": "8px", "color": "var(--descrip-text)"},
+            textContent: currentRun ? "No timeline data for this run." : ""
+        }));
+        return container;
+    }
+
+    const duration = Math.max(
+        currentRun.total_execution_time ?? 0,
+        ...items.map((item) => item.end_time)
+    ) || 1;
+    const labelWidth = 160;
+    const laneHeight = 20;
+
+    function buildLane(label, laneItems, onLabelClick) {
+        const track = $el("div", {
+            style: {
+                "position": "relative",
+                "flex": "1",
+                "height": `${laneHeight}px`,
+                "background": "var(--comfy-input-bg)"
+            }
+        });
+        laneItems.forEach(function (item) {
+            const title = getItemTitle(item);
+            track.append($el("div", {
+                title: [
+                    `#${item.node} ${title}`,
+                    `Start: ${formatExecutionTime(item.start_time)}`,
+                    `End: ${formatExecutionTime(item.end_time)}`,
+                    `Duration: ${formatExecutionTime(item.execution_time)}`,
+                    `VRAM Used: ${formatBytes(item.vram_used, 2)}`,
+                    `Peak RAM: ${formatBytes(item.ram_peak, 2)}`
+                ].join('\n'),
+                style: {
+                    "position": "absolute",
+                    "top": "2px",
+                    "bottom": "2px",
+                    "left": `${item.start_time * 100 / duration}%`,
+                    "width": `max(1px, ${item.execution_time * 100 / duration}%)`,
+                    "background": "#4d8fcc",
+                    "border-radius": "2px",
+                    "cursor": "pointer"
+                },
+                onclick: () => selectNodeFromTable(getCanvasNode(item.node), tableState)
+            }));
+        });
+        return $el("div", {style: {"display": "flex", "align-items": "center", "margin-bottom": "1px"}}, [
+            $el("div", {
+                textContent: label,
+                title: label,
+                style: {
+                    "width": `${labelWidth}px`,
+                    "flex-shrink": "0",
+                    "padding-right": "6px",
+                    "overflow": "hidden",
+                    "text-overflow": "ellipsis",
+                    "white-space": "nowrap",
+                    "text-align": "right",
+                    "cursor": onLabelClick ? "pointer" : "default"
+                },
+                onclick: onLabelClick
+            }),
+            track
+        ]);
+    }
+
+    const tickCount = 5;
+    const axis = $el("div", {style: {"position": "relative", "flex": "1", "height": "16px"}});
+    for (let i = 0; i <= tickCount; i++) {
+        axis.append($el("span", {
+            textContent: formatExecutionTime(duration * i / tickCount),
+            style: {
+                "position": "absolute",
+                "left": `${i * 100 / tickCount}%`,
+                "transform": i === 0 ? "none" : (i === tickCount ? "translateX(-100%)" : "translateX(-50%)"),
+                "color": "var(--descrip-text)"
+            }
+        }));
+    }
+    container.append($el("div", {style: {"display": "flex"}}, [
+        $el("div", {style: {"width": `${labelWidth}px`, "flex-shrink": "0"}}),
+        axis
+    ]));
+
+    container.append(buildLane("All Nodes", items));
+    items.forEach(function (item) {
+        const node = getCanvasNode(item.node);
+        const title = getItemTitle(item);
+        container.append(buildLane(`#${item.node} ${title}`, [item], () => selectNodeFromTable(node, tableState)));
+    });
+    return container;
+}
+
+function buildContentHtml(node) {
+    const view = node.widgets?.find((w) => w.name === "View")?.value;
+    const [currentRun, baselineRun] = getSelectedRuns(node);
+    node.ty_et_table_state ??= createTableState();
+    if (view === TIMELINE_VIEW_OPTION) {
+        return buildTimelineHtml(currentRun, node.ty_et_table_state);
+    }
+    if (view === CRITICAL_PATH_VIEW_OPTION) {
+        return buildCriticalPathHtml(currentRun, node.ty_et_table_state);
+    }
+    if (view === BENCHMARK_VIEW_OPTION) {
+        return buildBenchmarkHtml(node);
+    }
+    return buildTableHtml(currentRun, baselineRun, node.ty_et_table_state);
+}
+
+function buildToolbarHtml(node) {
+    node.ty_et_table_state ??= createTableState();
+    const tableState = node.ty_et_table_state;
+    return $el("div", {style: {"display": "flex", "gap": "12px", "align-items": "center", "margin-bottom": "4px", "font-size": "14px"}}, [
+        $el("input", {
+            type: "search",
+            placeholder: "Filter by title or id",
+            value: tableState.filter,
+            style: {"flex": "1", "min-width": "0"},
+            oninput: (e) => {
+                tableState.filter = e.target.value;
+                refreshTable();
+            }
+        }),
+        $el("label", {style: {"white-space": "nowrap"}}, [
+            $el("input", {
+                type: "checkbox",
+                checked: tableState.groupByClass,
+                onchange: (e) => {
+                    tableState.groupByClass = e.target.checked;
+                    tableState.sortKey = null;
+                    refreshTable();
+                }
+            }),
+            $el("span", {textContent: " Group by node class"})
+        ])
+    ]);
+}
+
+// region: Profiler Panel
+// The panel shows the same views as a `TY_ExecutionTime` node, without adding a node to the workflow.
+// It keeps its widget values in a node-like object, so that the views can be built the same way.
+const profilerPanel = {
+    element: null,
+    dockElem: null,  // Only without the sidebar of the new frontend
+    pickersElem: null,
+    pickersKey: null,
+    contentElem: null,
+    host: {
+        widgets: [
+            {name: "Current Run", value: LATEST_RUN_OPTION},
+            {name: "Compare Run", value: BASELINE_RUN_OPTION},
+            {name: "View", value: TABLE_VIEW_OPTION}
+        ],
+        ty_et_table_state: {...createTableState(), centerOnSelect: true}
+    }
+};
+
+function getProfilerPickers() {
+    return [
+        ["Current Run", [LATEST_RUN_OPTION, ...getKnownRuns().map(getRunLabel)]],
+        ["Compare Run", getCompareRunOptions()],
+        ["View", [TABLE_VIEW_OPTION, TIMELINE_VIEW_OPTION, CRITICAL_PATH_VIEW_OPTION]]
+    ];
+}
+
+function buildProfilerPickersHtml(pickers) {
+    const host = profilerPanel.host;
+    return $el("div", {style: {"display": "grid", "grid-template-columns": "auto 1fr", "gap": "4px 8px", "margin-bottom": "6px"}},
+        pickers.flatMap(function ([name, options]) {
+            const widget = host.widgets.find((w) => w.name === name);
+            return [
+                $el("label", {textContent: name, style: {"align-self": "center"}}),
+                $el("select", {
+                    style: {"min-width": "0"},
+                    onchange: (e) => {
+                        widget.value = e.target.value;
+                        refreshTable();
+                    }
+                }, options.map((option) => $el("option", {
+                    value: option,
+                    textContent: option,
+                    selected: option === widget.value
+                })))
+            ];
+        })
+    );
+}
+
+function buildProfilerPanelHtml() {
+    const host = profilerPanel.host;
+    profilerPanel.pickersElem = buildProfilerPickersHtml(getProfilerPickers());
+    profilerPanel.contentElem = $el("div", {style: {"overflow": "auto", "flex": "1"}});
+    return $el("div", {
+        style: {
+            "display": "flex",
+            "flex-direction": "column",
+            "height": "100%",
+            "padding": "8px",
+            "box-sizing": "border-box",
+            "color": "var(--fg-color)",
+            "font-size": "14px"
+        }
+    }, [
+        $el("div", {style: {"display": "flex", "flex-wrap": "wrap", "gap": "4px", "margin-bottom": "6px"}}, [
+            $el("button", {
+                textContent: "Pin / Unpin Baseline",
+                onclick: () => togglePinnedBaselineRun(getSelectedRuns(host)[0])
+            }),
+            $el("button", {
+                textContent: "Export CSV",
+                onclick: () => exportTable(buildTableHtml(...getSelectedRuns(host), host.ty_et_table_state))
+            }),
+            $el("button", {textContent: "Download Report", onclick: () => exportReport(host)}),
+            $el("button", {textContent: "Server Runs", onclick: (e) => showServerRunsMenu(host, e)}),
+            $el("button", {textContent: "Memory Management", onclick: () => toggleMemoryPanel()})
+        ]),
+        profilerPanel.pickersElem,
+        buildToolbarHtml(host),
+        profilerPanel.contentElem
+    ]);
+}
+
+function refreshProfilerPanel() {
+    if (!profilerPanel.element?.isConnected || profilerPanel.dockElem?.hidden) {
+        return;
+    }
+    // Rebuilding the pickers closes an open dropdown, so they are only rebuilt when a run was added or removed
+    const pickers = getProfilerPickers();
+    const pickersKey = JSON.stringify([pickers, profilerPanel.host.widgets.map((w) => w.value)]);
+    if (pickersKey !== profilerPanel.pickersKey) {
+        const pickersElem = buildProfilerPickersHtml(pickers);
+        profilerPanel.pickersElem.replaceWith(pickersElem);
+        profilerPanel.pickersElem = pickersElem;
+        profilerPanel.pickersKey = pickersKey;
+    }
+    profilerPanel.contentElem.replaceChildren(buildContentHtml(profilerPanel.host));
+}
+
+/**
+ * Docks the panel in the sidebar of the new frontend, or at the right edge of the window with a toggle button.
+ */
+function setupProfilerPanel() {
+    profilerPanel.element = buildProfilerPanelHtml();
+    if (app.extensionManager?.registerSidebarTab) {
+        app.extensionManager.registerSidebarTab({
+            id: "TyDev-Utils.ExecutionTime.Profiler",
+            icon: "pi pi-stopwatch",
+            title: "Profiler",
+            tooltip: "Execution Time Profiler",
+            type: "custom",
+            render: (el) => {
+                el.append(profilerPanel.element);
+                refreshTable();
+            }
+        });
+        return;
+    }
+
+    profilerPanel.dockElem = $el("div", {
+        parent: document.body,
+        hidden: true,
+        style: {
+            position: "fixed",
+            top: "0",
+            right: "0",
+            width: "480px",
+            height: "100vh",
+            zIndex: 1000,
+            background: "var(--comfy-menu-bg)",
+            borderLeft: "1px solid var(--border-color)"
+        }
+    }, [profilerPanel.element]);
+    $el("button", {
+        parent: document.body,
+        textContent: "Profiler",
+        style: {position: "fixed", bottom: "16px", right: "16px", zIndex: 1001},
+        onclick: () => {
+            profilerPanel.dockElem.hidden = !profilerPanel.dockElem.hidden;
+            refreshTable();
+        }
+    });
+}
+
+// endregion
+
+// Progress events arrive every step, the tables are rebuilt at most this often while nodes run
+const TABLE_REFRESH_INTERVAL = 500;
+let scheduledTableRefresh = null;
+
+/**
+ * Refreshes the tables soon, at most once per TABLE_REFRESH_INTERVAL.
+ * The badges are repainted by the refresh timer in the meantime.
+ */
+function scheduleRefreshTable() {
+    if (scheduledTableRefresh !== null) {
+        return;
+    }
+    scheduledTableRefresh = setTimeout(function () {
+        scheduledTableRefresh = null;
+        refreshTable();
+    }, TABLE_REFRESH_INTERVAL);
+}
+
 function refreshTable() {
+    updateHeatmapLegend();
+    // Set again below by the nodes that are in the critical path view
+    highlightedCriticalPath = null;
+    refreshProfilerPanel();
     app.graph._nodes.forEach(function (node) {
         if (node.comfyClass === "TY_ExecutionTime" && node.widgets) {
             const tableWidget = node.widgets.find((w) => w.name === "Table");
             if (!tableWidget) {
                 return;
             }
-            tableWidget.inputEl.replaceChild(buildTableHtml(), tableWidget.inputEl.firstChild);
+            tableWidget.inputEl.replaceChild(buildContentHtml(node), tableWidget.inputEl.lastChild);
+            const pinWidget = node.widgets.find((w) => w.name === "Pin Baseline");
+            if (pinWidget) {
+                pinWidget.label = isPinnedBaselineRun(getSelectedRuns(node)[0]) ? "Unpin Baseline" : "Pin Baseline";
+            }
+            const benchmarkWidget = node.widgets.find((w) => w.name === "Benchmark");
+            if (benchmarkWidget) {
+                benchmarkWidget.label = activeBenchmark?.node === node ? "Cancel Benchmark" : "Benchmark";
+            }
             const computeSize = node.computeSize();
             const newSize = [Math.max(node.size[0], computeSize[0]), Math.max(node.size[1], computeSize[1])];
             node.setSize(newSize);
@@ -399,43 +3271,55 @@ function refreshTable() {
 app.registerExtension({
     name: "TyDev-Utils.ExecutionTime",
     async setup() {
-        setupClearExecutionCacheMenu();
+        setupMemoryManagement();
+        setupHeatmapSettings();
+        setupBadgeSettings();
+        setupWorkflowLastRun();
+        setupOwnPromptTracking();
+        setupGroupBadges();
+        setupCriticalPathLinks();
+        setupProfilerPanel();
+        reloadRunHistory();
         
         // Listen for node execution start
         // Note: detail can be either a nodeId string directly, or an object {node: nodeId, prompt_id: ...}
         // depending on ComfyUI version
         api.addEventListener("executing", ({detail}) => {
+            const execution = findExecution(detail);
+            if (!execution) {
+                return;
+            }
+
             // Handle both formats: direct nodeId or object with node property
             const nodeId = (typeof detail === 'object' && detail !== null) ? detail?.node : detail;
             
             // If nodeId is null/undefined, execution has finished
             if (nodeId === null || nodeId === undefined) {
-                // Stop the last executing node's timer
-                if (currentExecutingNodeId) {
-                    stopNodeTimer(currentExecutingNodeId, null, null);
-                    currentExecutingNodeId = null;
-                }
-                
-                // Handle workflow completion
-                if (runningData && runningData.total_execution_time === null) {
-                    handleExecutionEnd(null);
-                }
+                handleExecutionEnd(execution, null);
                 return;
             }
             
             // A new node is starting - stop the previous node's timer first
-            if (currentExecutingNodeId && currentExecutingNodeId !== nodeId) {
-                stopNodeTimer(currentExecutingNodeId, null, null);
+            if (execution.currentExecutingNodeId && execution.currentExecutingNodeId !== nodeId) {
+                stopNodeTimer(execution, execution.currentExecutingNodeId, null, null);
             }
             
             // Start timer for the new node
-            currentExecutingNodeId = nodeId;
-            const node = app.graph.getNodeById(nodeId);
-            if (node) {
-                node.ty_et_start_time = LiteGraph.getTime();
-            }
+            execution.currentExecutingNodeId = nodeId;
+            startNodeTimer(execution, nodeId);
+            scheduleRefreshTable();
         });
         
+        // Listen for the steps of running nodes
+        api.addEventListener("progress", ({detail}) => {
+            const execution = findExecution(detail);
+            if (!detail || !execution) {
+                return;
+            }
+            updateNodeProgress(execution, detail);
+            scheduleRefreshTable();
+        });
+
         // Listen for native ComfyUI "executed" event (node completed)
         // This is sent when a node finishes execution successfully
         api.addEventListener("executed", ({detail}) => {
@@ -445,86 +3329,99 @@ app.registerExtension({
             if (!nodeId) return;
             
             // Stop the timer for this node
-            stopNodeTimer(nodeId, null, null);
-            
-            // Clear current executing node if it matches
-            if (currentExecutingNodeId === nodeId) {
-                currentExecutingNodeId = null;
-            }
+            stopNodeTimer(findExecution(detail), nodeId, null, null);
             
             refreshTable();
         });
 
         // Listen for individual node execution completion (custom event from backend with timing data)
         api.addEventListener("TyDev-Utils.ExecutionTime.executed", ({detail}) => {
-            if (!detail || !runningData) {
+            const execution = findExecution(detail);
+            if (!detail || !execution) {
                 return;
             }
             
             // Use the detailed timing data from backend
-            stopNodeTimer(detail.node, detail.execution_time, detail.vram_used);
-            
-            // Clear current executing node if it matches
-            if (currentExecutingNodeId === detail.node) {
-                currentExecutingNodeId = null;
-            }
+            stopNodeTimer(execution, detail.node, detail.execution_time, detail.vram_used, detail.ram_used, detail.ram_peak);
             
             refreshTable();
         });
 
-        // Listen for execution start (workflow begins)
-        api.addEventListener("execution_start", ({detail}) => {
-            // If there's an ongoing execution that hasn't completed, don't restart
-            if (runningData && runningData.total_execution_time === null) {
+        // Listen for nodes served from the cache, which are never executed
+        api.addEventListener("execution_cached", ({detail}) => {
+            const execution = findExecution(detail);
+            if (!execution || !Array.isArray(detail?.nodes)) {
                 return;
             }
-            
-            // Reset state for new execution
-            currentExecutingNodeId = null;
-            lastRunningDate = runningData;
-            
-            app.graph._nodes.forEach(function (node) {
-                delete node.ty_et_start_time;
-                delete node.ty_et_execution_time;
-                delete node.ty_et_vram_used;
+            const run = execution.run;
+            detail.nodes.forEach(function (nodeId) {
+                const {node, parentId, title, comfyClass} = resolveRunNode(execution, nodeId);
+                const lastItem = execution.onCanvas ? findLastExecutedItem(nodeId) : null;
+                const data = {
+                    node: nodeId,
+                    title: title ?? lastItem?.title,
+                    comfyClass: comfyClass ?? lastItem?.comfyClass,
+                    execution_time: 0,
+                    vram_used: 0,
+                    ram_used: 0,
+                    ram_peak: 0,
+                    start_time: null,
+                    end_time: null,
+                    cached: true,
+                    last_execution_time: lastItem?.execution_time ?? null
+                };
+                if (parentId !== null) {
+                    data.parent = parentId;
+                }
+                if (!run.nodes_execution_time.some((x) => x.node === nodeId)) {
+                    run.nodes_execution_time.push(data);
+                }
+                // Group nodes and subgraphs are only cached when none of their inner nodes execute
+                if (node && parentId === null) {
+                    node.ty_et_cached = data;
+                }
             });
-            
-            runningData = {
-                nodes_execution_time: [],
-                total_execution_time: null
-            };
-            startRefreshTimer();
+            refreshTable();
+        });
+
+        // Listen for execution start (workflow begins), the backend sends the workflow of the prompt first
+        api.addEventListener("TyDev-Utils.ExecutionTime.execution_start", ({detail}) => {
+            handleExecutionStart(detail);
+        });
+        api.addEventListener("execution_start", ({detail}) => {
+            handleExecutionStart(detail);
         });
 
         // Listen for custom execution end event (primary mechanism)
         api.addEventListener("TyDev-Utils.ExecutionTime.execution_end", ({detail}) => {
-            handleExecutionEnd(detail?.execution_time ?? null);
+            handleExecutionEnd(findExecution(detail), detail?.execution_time ?? null);
         });
         
         // Fallback: Listen for execution_success (native ComfyUI event)
         api.addEventListener("execution_success", ({detail}) => {
-            if (runningData && runningData.total_execution_time === null) {
-                handleExecutionEnd(null);
-            }
+            handleExecutionEnd(findExecution(detail), null);
         });
         
-        // Fallback: Listen for execution_error (handle errors gracefully)
+        // Listen for execution_error, the failing node is attributed before the run ends
         api.addEventListener("execution_error", ({detail}) => {
-            if (runningData && runningData.total_execution_time === null) {
-                handleExecutionEnd(null);
-            }
+            handleExecutionFailure(findExecution(detail), detail, RUN_STATUS_ERROR);
+        });
+
+        api.addEventListener("execution_interrupted", ({detail}) => {
+            handleExecutionFailure(findExecution(detail), detail, RUN_STATUS_INTERRUPTED);
         });
         
         // Fallback: Listen for status changes (covers queue completion)
         api.addEventListener("status", ({detail}) => {
-            // When queue becomes empty and we have an unfinished execution, complete it
+            // When queue becomes empty and we have unfinished executions, complete them
             if (detail?.exec_info?.queue_remaining === 0) {
-                if (runningData && runningData.total_execution_time === null) {
-                    handleExecutionEnd(null);
-                }
+                activeExecutions.forEach((execution) => handleExecutionEnd(execution, null));
             }
         });
     },
+    async afterConfigureGraph() {
+        await reloadRunHistory();
+    },
     async nodeCreated(node, app) {
         if (!node.ty_et_swizzled) {
             let orig = node.onDrawForeground;
@@ -546,8 +3443,10 @@ app.registerExtension({
             };
             node.ty_et_swizzled = true;
         }
+        restoreWorkflowLastRun(node);
     },
     async beforeRegisterNodeDef(nodeType, nodeData, app) {
+        setupBudgetMenus(nodeType);
         if (nodeType.comfyClass === "TY_ExecutionTime") {
             const originComputeSize = nodeType.prototype.computeSize || LGraphNode.prototype.computeSize;
             nodeType.prototype.computeSize = function () {
@@ -559,11 +3458,22 @@ app.registerExtension({
                 if (!tableWidget) {
                     return originSize;
                 }
-                const tableElem = tableWidget.inputEl.firstChild;
-                const tableHeight = tableElem.getBoundingClientRect().height;
-                const thHeight = tableElem.tHead.getBoundingClientRect().height;
-                const thUnscaledHeight = 24;
-                const tableUnscaledHeight = thUnscaledHeight * tableHeight / thHeight;
+                const toolbarElem = tableWidget.inputEl.firstChild;
+                const tableElem = tableWidget.inputEl.lastChild;
+                if (!tableElem || toolbarElem === tableElem) {
+                    return originSize;
+                }
+                let tableUnscaledHeight;
+                if (tableElem.tHead) {
+                    const tableHeight = tableElem.getBoundingClientRect().height;
+                    const thHeight = tableElem.tHead.getBoundingClientRect().height;
+                    const thUnscaledHeight = 24;
+                    tableUnscaledHeight = thUnscaledHeight * tableHeight / thHeight;
+                } else {
+                    // offsetHeight is not affected by the canvas scale transform
+                    tableUnscaledHeight = tableElem.offsetHeight;
+                }
+                tableUnscaledHeight += toolbarElem.offsetHeight;
                 const autoResizeMaxHeight = 300;
                 return [Math.max(originSize[0], 600), originSize[1] + Math.min(tableUnscaledHeight, autoResizeMaxHeight) - LiteGraph.NODE_WIDGET_HEIGHT];
             }
@@ -605,19 +3515,71 @@ app.registerExtension({
 
                 document.body.appendChild(tableWidget.inputEl);
 
+                const onRunChanged = () => refreshTable();
+                this.addWidget("combo", "Current Run", LATEST_RUN_OPTION, onRunChanged, {
+                    values: () => [LATEST_RUN_OPTION, ...getKnownRuns().map(getRunLabel)]
+                });
+                this.addWidget("combo", "Compare Run", BASELINE_RUN_OPTION, onRunChanged, {
+                    values: getCompareRunOptions
+                });
+                this.addWidget("button", "Pin Baseline", "display: none", () => {
+                    togglePinnedBaselineRun(getSelectedRuns(this)[0]);
+                });
+                this.addWidget("combo", "View", TABLE_VIEW_OPTION, onRunChanged, {
+                    values: [TABLE_VIEW_OPTION, TIMELINE_VIEW_OPTION, CRITICAL_PATH_VIEW_OPTION, BENCHMARK_VIEW_OPTION]
+                });
+                const benchmarkRunsWidget = this.addWidget("number", "Benchmark Runs", 5, () => {}, {min: 1, max: 100, step: 10, precision: 0});
+                const benchmarkWarmupWidget = this.addWidget("number", "Warm-up Runs", 1, () => {}, {min: 0, max: 10, step: 10, precision: 0});
+                this.addWidget("button", "Benchmark", "display: none", () => {
+                    if (activeBenchmark) {
+                        cancelBenchmark();
+                        return;
+                    }
+                    const viewWidget = this.widgets.find((w) => w.name === "View");
+                    viewWidget.value = BENCHMARK_VIEW_OPTION;
+                    runBenchmark(this, Math.round(benchmarkRunsWidget.value), Math.round(benchmarkWarmupWidget.value));
+                });
                 this.addWidget("button", "Export CSV", "display: none", () => {
-                    exportTable(tableWidget.inputEl.firstChild)
+                    const view = this.widgets.find((w) => w.name === "View")?.value;
+                    if (view === BENCHMARK_VIEW_OPTION) {
+                        exportTable(buildBenchmarkHtml(this));
+                    } else {
+                        exportTable(buildTableHtml(...getSelectedRuns(this), this.ty_et_table_state));
+                    }
+                });
+                this.addWidget("button", "Export JSON", "display: none", () => {
+                    const view = this.widgets.find((w) => w.name === "View")?.value;
+                    if (view === BENCHMARK_VIEW_OPTION) {
+                        exportBenchmarkJson(this);
+                    } else {
+                        exportRunJson(getSelectedRuns(this)[0]);
+                    }
+                });
+                this.addWidget("button", "Server Runs", "display: none", (widget, canvas, node, pos, event) => {
+                    showServerRunsMenu(this, event ?? window.event);
+                });
+                this.addWidget("button", "Import Baseline", "display: none", () => {
+                    importBaselineRun();
+                });
+                this.addWidget("button", "Export Trace", "display: none", () => {
+                    exportTrace(getSelectedRuns(this)[0]);
+                });
+                this.addWidget("button", "Download Report", "display: none", () => {
+                    exportReport(this);
                 });
                 this.addCustomWidget(tableWidget);
 
                 this.onRemoved = function () {
                     tableWidget.inputEl.remove();
+                    // Clears the critical path highlight of this node
+                    setTimeout(refreshTable);
                 };
                 this.serialize_widgets = false;
                 this.isVirtualNode = true;
 
-                const tableElem = buildTableHtml();
+                const tableElem = buildContentHtml(this);
 
+                tableWidget.inputEl.appendChild(buildToolbarHtml(this));
                 tableWidget.inputEl.appendChild(tableElem)
 
                 this.setSize(this.computeSize());
@@ -52,10 +52,69 @@ function generateUUID() { // Public Domain/MIT
 
 let consoleId = generateUUID()
 
+// region: Log Records
+const LOG_LEVELS = ["DEBUG", "INFO", "WARNING", "ERROR"];
+// Writes to stdout / stderr have no level, they are filtered by their stream
+const LOG_STREAMS = ["STDOUT", "STDERR"];
+const LOG_RECORDS_MAX_COUNT = 5000;
+
+const ANSI_RESET = "\x1b[0m";
+const LEVEL_COLORS = {
+    DEBUG: "\x1b[90m",
+    WARNING: "\x1b[33m",
+    ERROR: "\x1b[31m",
+    // Tracebacks and warnings, progress bars on stderr are left uncolored
+    STDERR: "\x1b[31m"
+};
+const SEARCH_MATCH_COLOR = "\x1b[30;43m";
+const SEARCH_CURRENT_MATCH_COLOR = "\x1b[30;45m";
+
+// https://github.com/chalk/ansi-regex
+const ANSI_REGEX = /[\u001B\u009B][[\]()#;?]*(?:(?:(?:(?:;[-a-zA-Z\d\/#&.:=?%@~_]+)*|[a-zA-Z\d]+(?:;[-a-zA-Z\d\/#&.:=?%@~_]*)*)?\u0007)|(?:(?:\d{1,4}(?:;\d{0,4})*)?[\dA-PR-TZcf-ntqry=><~]))/g;
+
+/**
+ * Toggle of a record, its level for `logging` records (CRITICAL counts as ERROR), otherwise its stream.
+ */
+function getRecordGroup(record) {
+    if (!record.level) {
+        return record.stream === "stderr" ? "STDERR" : "STDOUT";
+    }
+    if (record.level === "CRITICAL") {
+        return "ERROR";
+    }
+    return LOG_LEVELS.includes(record.level) ? record.level : "INFO";
+}
+
+function parseLogRecord(data) {
+    const record = JSON.parse(data);
+    // The console colors records by level, so the colors of the text itself are dropped
+    record.text = `${record.message ?? ""}`.replace(ANSI_REGEX, "");
+    return record;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// endregion
+
 app.registerExtension({
     name: "TyDev-Utils.LogConsole",
     eventSource: null,
     terminal: null,
+    // Id of the last received record, a new connection resumes after it
+    lastEventId: null,
+    records: [],
+    filters: {
+        groups: new Set([...LOG_LEVELS, ...LOG_STREAMS]),
+        logger: ""
+    },
+    search: {
+        text: "",
+        index: 0,  // Index of the current match
+        count: 0,
+        countElem: null
+    },
 
     async setup() {
         const showButton = $el("button.comfy-settings-btn", {
@@ -96,10 +155,51 @@ app.registerExtension({
                 fontSize: '14px'
             },
             onclick: () => {
-                this.terminal?.clear();
+                this.clearRecords();
             }
         });
+        const levelButtons = [...LOG_LEVELS, ...LOG_STREAMS].map((group) => $el("button.tydev-utils-log-console-level", {
+            textContent: group,
+            onclick: (e) => {
+                if (this.filters.groups.has(group)) {
+                    this.filters.groups.delete(group);
+                } else {
+                    this.filters.groups.add(group);
+                }
+                e.target.classList.toggle("disabled", !this.filters.groups.has(group));
+                this.renderRecords();
+            }
+        }));
+        const loggerInput = $el("input.tydev-utils-log-console-input", {
+            type: "search",
+            placeholder: "Logger",
+            oninput: (e) => {
+                this.filters.logger = e.target.value;
+                this.renderRecords();
+            }
+        });
+        const searchInput = $el("input.tydev-utils-log-console-input", {
+            type: "search",
+            placeholder: "Search",
+            oninput: (e) => {
+                this.search.text = e.target.value;
+                this.search.index = 0;
+                this.renderRecords();
+            },
+            onkeydown: (e) => {
+                if (e.key === "Enter") {
+                    this.moveSearchMatch(e.shiftKey ? -1 : 1);
+                }
+            }
+        });
+        this.search.countElem = $el("span.tydev-utils-log-console-search-count");
         const consoleMenuContainer = $el("div.tydev-utils-log-console-menu-container", [
+            ...levelButtons,
+            loggerInput,
+            searchInput,
+            this.search.countElem,
+            $el("button.tydev-utils-log-console-level", {textContent: "▲", onclick: () => this.moveSearchMatch(-1)}),
+            $el("button.tydev-utils-log-console-level", {textContent: "▼", onclick: () => this.moveSearchMatch(1)}),
             clearButton,
             closeButton
         ])
@@ -250,7 +350,7 @@ app.registerExtension({
         this.terminal.attachCustomKeyEventHandler((e) => {
             if (e.ctrlKey && e.keyCode === 76) {
                 // Ctrl + L
-                terminal.clear();
+                this.clearRecords();
                 return false;
             }
         });
@@ -273,7 +373,10 @@ app.registerExtension({
         if ([EventSource.OPEN, EventSource.CONNECTING].includes(this.eventSource?.readyState)) {
             return
         }
-        const logSSEUrl = api.apiURL(`/ty-dev-utils/log?console_id=${consoleId}&client_id=${api.clientId}`);
+        let logSSEUrl = api.apiURL(`/ty-dev-utils/log?console_id=${consoleId}&client_id=${api.clientId}`);
+        if (this.lastEventId) {
+            logSSEUrl += `&last_event_id=${encodeURIComponent(this.lastEventId)}`;
+        }
         this.eventSource = new EventSource(logSSEUrl);
         this.eventSource.onopen = () => {
             // console.log('EventSource connected')
@@ -287,12 +390,145 @@ app.registerExtension({
         };
 
         const messageHandler = (event) => {
-            this.terminal?.write(event.data);
+            if (event.lastEventId) {
+                this.lastEventId = event.lastEventId;
+            }
+            this.addRecord(parseLogRecord(event.data));
             // console.log(event.data);
         }
 
         this.eventSource.addEventListener("message", messageHandler);
     },
+    matchesFilters(record) {
+        if (!this.filters.groups.has(getRecordGroup(record))) {
+            return false;
+        }
+        const logger = this.filters.logger.trim().toLowerCase();
+        return !logger || (record.logger ?? record.stream ?? "").toLowerCase().includes(logger);
+    },
+    /**
+     * Colors a record by its level and highlights the search matches in it.
+     * @returns {string[]} The text split after the current match, so that the terminal can scroll to it
+     */
+    formatRecord(record, matchIndex) {
+        const color = record.progress ? "" : LEVEL_COLORS[getRecordGroup(record)] ?? "";
+        const parts = [""];
+        let text = record.text;
+        if (this.search.text) {
+            const regex = new RegExp(escapeRegExp(this.search.text), "gi");
+            text = text.replace(regex, (match) => {
+                const current = matchIndex.value === this.search.index;
+                matchIndex.value += 1;
+                return `\x00${current ? "\x01" : ""}${match}\x00`;
+            });
+        }
+        text.split("\x00").forEach((segment, index) => {
+            if (index % 2 === 0) {
+                parts[parts.length - 1] += `${color}${segment}${ANSI_RESET}`;
+            } else if (segment.startsWith("\x01")) {
+                parts[parts.length - 1] += `${SEARCH_CURRENT_MATCH_COLOR}${segment.slice(1)}${ANSI_RESET}`;
+                parts.push("");
+            } else {
+                parts[parts.length - 1] += `${SEARCH_MATCH_COLOR}${segment}${ANSI_RESET}`;
+            }
+        });
+        return parts;
+    },
+    countMatches(record) {
+        if (!this.search.text || !this.matchesFilters(record)) {
+            return 0;
+        }
+        return record.text.match(new RegExp(escapeRegExp(this.search.text), "gi"))?.length ?? 0;
+    },
+    /**
+     * Removes dropped records from the search count, keeping the current match on the same text.
+     * @param {object[]} records - The dropped records
+     * @param {boolean} first - Whether they were the first records, before the current match
+     */
+    forgetRecords(records, first) {
+        const matchCount = records.reduce((sum, record) => sum + this.countMatches(record), 0);
+        if (matchCount === 0) {
+            return;
+        }
+        this.search.count -= matchCount;
+        const index = first ? this.search.index - matchCount : this.search.index;
+        this.search.index = Math.max(0, Math.min(index, this.search.count - 1));
+        this.updateSearchCount();
+    },
+    addRecord(record) {
+        // A progress update redraws the line of the previous one, which the backend has dropped already
+        const lastRecord = this.records[this.records.length - 1];
+        if (record.progress && lastRecord?.progress && lastRecord.stream === record.stream) {
+            this.forgetRecords(this.records.splice(-1, 1), false);
+        }
+        this.records.push(record);
+        if (this.records.length > LOG_RECORDS_MAX_COUNT) {
+            this.forgetRecords(this.records.splice(0, this.records.length - LOG_RECORDS_MAX_COUNT), true);
+        }
+        if (!this.matchesFilters(record)) {
+            return;
+        }
+        // New matches are numbered after the current ones, so the terminal does not jump while searching
+        const matchIndex = {value: this.search.count};
+        this.terminal?.write(this.formatRecord(record, matchIndex).join(""));
+        if (this.search.text) {
+            this.search.count = matchIndex.value;
+            this.updateSearchCount();
+        }
+    },
+    /**
+     * Writes the records again, after the filters or the search changed.
+     */
+    renderRecords() {
+        const terminal = this.terminal;
+        if (!terminal) {
+            return;
+        }
+        // Text up to the end of the current match, and the text after it
+        const texts = [""];
+        const matchIndex = {value: 0};
+        this.records.filter((record) => this.matchesFilters(record)).forEach((record) => {
+            const [first, ...rest] = this.formatRecord(record, matchIndex);
+            texts[texts.length - 1] += first;
+            texts.push(...rest);
+        });
+        this.search.count = this.search.text ? matchIndex.value : 0;
+        this.search.index = Math.min(this.search.index, Math.max(0, this.search.count - 1));
+        this.updateSearchCount();
+
+        terminal.reset();
+        if (texts.length === 1) {
+            terminal.write(texts[0]);
+            return;
+        }
+        // The cursor after the current match gives its line, to scroll to it
+        let matchLine = 0;
+        terminal.write(texts[0], () => {
+            const buffer = terminal.buffer.active;
+            matchLine = buffer.baseY + buffer.cursorY;
+        });
+        terminal.write(texts[1], () => {
+            terminal.scrollToLine(Math.max(0, matchLine - Math.floor(terminal.rows / 2)));
+        });
+    },
+    moveSearchMatch(offset) {
+        if (this.search.count === 0) {
+            return;
+        }
+        this.search.index = (this.search.index + offset + this.search.count) % this.search.count;
+        this.renderRecords();
+    },
+    updateSearchCount() {
+        if (!this.search.countElem) {
+            return;
+        }
+        this.search.countElem.textContent = this.search.text ? `${this.search.count ? this.search.index + 1 : 0}/${this.search.count}` : "";
+    },
+    clearRecords() {
+        this.records = [];
+        this.search.index = 0;
+        this.renderRecords();
+    },
     stopSSE() {
         this.eventSource?.close();
         this.setSSEState(EventSource.CLOSED);